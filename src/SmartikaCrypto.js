@@ -111,6 +111,25 @@ function decrypt(message, key) {
     return decrypted;
 }
 
+/**
+ * Decrypt a single AES-128-CBC block
+ * Used to decrypt a stream block by block: pass the previous ciphertext block as
+ * the IV, or the fixed IV for the first block of a message.
+ *
+ * @param {Buffer} block - 16 bytes of ciphertext
+ * @param {Buffer} key - 16 bytes encryption key
+ * @param {Buffer} iv - Previous ciphertext block (default: fixed IV)
+ * @returns {Buffer} - 16 bytes of plaintext
+ */
+function decryptBlock(block, key, iv = IV) {
+    if (block.length !== BLOCK_SIZE) {
+        throw new Error(`Block must be ${BLOCK_SIZE} bytes`);
+    }
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(block), decipher.final()]);
+}
+
 /**
  * Parse MAC address string to Buffer
  * @param {string} macString - MAC address like "00:12:4B:32:89:BB" or "00124B3289BB"
@@ -128,6 +147,7 @@ module.exports = {
     generateKey,
     encrypt,
     decrypt,
+    decryptBlock,
     parseMacAddress,
     IV,
     BLOCK_SIZE,
@@ -6,6 +6,10 @@ const EventEmitter = require('events');
 const BROADCAST_PORT = 4156;
 const DEFAULT_TIMEOUT = 15000; // 15 seconds
 
+// Hub ID as announced in "SMARTIKA HUB - {ID}": 16 hex chars (IEEE address
+// prefix + MAC) or 12 hex chars (MAC only)
+const HUB_ID_PATTERN = /^(?:[0-9A-F]{12}|[0-9A-F]{16})$/i;
+
 /**
  * Smartika Hub Discovery
  * 
@@ -80,7 +84,7 @@ class SmartikaDiscovery extends EventEmitter {
         const message = msg.toString('utf-8').replace(/\x00/g, '').trim();
 
         // Parse "SMARTIKA HUB - {ID}" or "SMARTIKA HUB - BOOTLOADER - {ID}"
-        // ID is 16 chars (IEEE address prefix + MAC) or 12 chars (MAC only)
+        // ID format: see HUB_ID_PATTERN
         const match = message.match(/^SMARTIKA HUB(?: - BOOTLOADER)? - ([0-9A-F]{12,16})/i);
 
         if (match) {
@@ -108,12 +112,44 @@ class SmartikaDiscovery extends EventEmitter {
             } else {
                 // Update existing hub info
                 const existing = this.foundHubs.get(hubId);
+                const previousIp = existing.ip;
                 existing.ip = rinfo.address;
                 existing.lastSeen = new Date();
+
+                if (previousIp !== rinfo.address) {
+                    this.log.info(`Hub ${hubId} moved from ${previousIp} to ${rinfo.address}`);
+                    this.emit('hubUpdated', existing, previousIp);
+                }
             }
         }
     }
 
+    /**
+     * Normalize a user-supplied hub ID to the broadcast format
+     * Accepts the ID as broadcast or a MAC with ':' / '-' separators.
+     * @param {string} value - e.g. "00124B3289BB" or "00:12:4B:32:89:BB"
+     * @returns {string|null} - Upper-case hex ID, or null if invalid
+     */
+    static normalizeHubId(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const hubId = value.trim().replace(/[:-]/g, '').toUpperCase();
+        return HUB_ID_PATTERN.test(hubId) ? hubId : null;
+    }
+
+    /**
+     * Check whether a discovered hub matches a configured hub ID
+     * Compares the MAC part so a 12-char ID matches a 16-char broadcast.
+     * @param {Object} hubInfo - Hub info from discovery
+     * @param {string} hubId - Normalized hub ID
+     * @returns {boolean}
+     */
+    static matchesHubId(hubInfo, hubId) {
+        return hubInfo.hubId.slice(-12) === hubId.slice(-12);
+    }
+
     /**
      * Clean up resources
      */
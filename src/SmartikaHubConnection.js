@@ -5,6 +5,31 @@ const EventEmitter = require('events');
 const crypto = require('./SmartikaCrypto');
 const protocol = require('./SmartikaProtocol');
 
+// Late responses remembered per connection before the oldest is forgotten
+const MAX_ABANDONED_COMMANDS = 8;
+
+// Default time to wait for a command response (ms)
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * Connection states
+ *
+ *   idle → connecting → handshaking → ready
+ *                 ↘          ↘           ↘
+ *                  backoff ←──────────────┘  (retry after a delay)
+ *
+ * disconnect() moves to closed from any state; nothing leaves closed except
+ * an explicit connect().
+ */
+const STATE = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    HANDSHAKING: 'handshaking',
+    READY: 'ready',
+    BACKOFF: 'backoff',
+    CLOSED: 'closed',
+};
+
 /**
  * Manages the TCP connection to the Smartika hub.
  * Handles encryption, protocol commands, and automatic reconnection.
@@ -15,6 +40,11 @@ class SmartikaHubConnection extends EventEmitter {
      * @param {string} options.host - Hub IP address
      * @param {number} options.port - Hub port (default: 1234)
      * @param {number} options.pollingInterval - Status polling interval in ms
+     * @param {number} options.reconnectDelay - Initial reconnect delay in ms (default: 2000)
+     * @param {number} options.reconnectMaxDelay - Maximum reconnect delay in ms (default: 60000)
+     * @param {number} options.reconnectJitter - Random spread applied to each delay, 0-1 (default: 0.2)
+     * @param {number} options.batchWindow - Time in ms to gather power, brightness and
+     *   temperature writes into shared frames (default: 0, send each write at once)
      * @param {Object} options.log - Homebridge logger
      * @param {boolean} options.debug - Enable debug logging
      */
@@ -24,14 +54,21 @@ class SmartikaHubConnection extends EventEmitter {
         this.host = options.host;
         this.port = options.port || protocol.HUB_PORT;
         this.pollingInterval = options.pollingInterval || 5000;
+        this.reconnectDelay = options.reconnectDelay || 2000;
+        this.reconnectMaxDelay = options.reconnectMaxDelay || 60000;
+        this.reconnectJitter = options.reconnectJitter ?? 0.2;
+        this.batchWindow = options.batchWindow || 0;
         this.log = options.log;
         this.debug = options.debug || false;
 
         this.socket = null;
         this.encryptionKey = null;
         this.hubId = null;
-        this.connected = false;
-        this.reconnecting = false;
+        this.pushSupported = false;
+
+        this.state = STATE.IDLE;
+        this.connectPromise = null;
+        this.reconnectAttempts = 0;
 
         this.pollingTimer = null;
         this.pingTimer = null;
@@ -40,80 +77,173 @@ class SmartikaHubConnection extends EventEmitter {
         // Command queue for handling responses
         this.pendingCommand = null;
         this.commandQueue = [];
+
+        // Writes gathered during the batch window, by kind
+        this.pendingWrites = { power: [], brightness: [], temperature: [] };
+        this.batchTimer = null;
+
+        // Command IDs of timed-out or rejected commands whose responses may
+        // still arrive late
+        this.abandonedCmdIds = [];
+
+        // Stream framing state (encrypted bytes not yet decrypted, and the
+        // decrypted head of the frame currently being received)
         this.responseBuffer = Buffer.alloc(0);
+        this.frameBuffer = Buffer.alloc(0);
+        this.frameIv = crypto.IV;
+    }
+
+    /**
+     * True once the handshake completed and commands can be sent
+     * @returns {boolean}
+     */
+    get connected() {
+        return this.state === STATE.READY;
+    }
+
+    /**
+     * Move to a new connection state
+     * @param {string} state - One of STATE
+     */
+    setState(state) {
+        if (state === this.state) {
+            return;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.debugLog(`State: ${previous} → ${state}`);
+        this.emit('stateChange', state, previous);
     }
 
     /**
      * Connect to the Smartika hub
+     * Concurrent calls share the same attempt. An explicit connect also
+     * cancels a pending reconnect and reopens a closed connection.
      * @returns {Promise<void>}
      */
     connect() {
-        return new Promise((resolve, reject) => {
-            if (this.connected) {
-                resolve();
-                return;
-            }
+        if (this.state === STATE.READY) {
+            return Promise.resolve();
+        }
+
+        if (this.connectPromise) {
+            return this.connectPromise;
+        }
 
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        this.connectPromise = new Promise((resolve, reject) => {
             this.debugLog(`Connecting to hub at ${this.host}:${this.port}...`);
+            this.setState(STATE.CONNECTING);
+
+            const socket = new net.Socket();
+            socket.setTimeout(30000);
+            this.socket = socket;
+            this.responseBuffer = Buffer.alloc(0);
+            this.abandonedCmdIds = [];
+            this.resetFramer();
 
-            this.socket = new net.Socket();
-            this.socket.setTimeout(30000);
+            let settled = false;
 
-            const cleanup = () => {
-                this.socket.removeAllListeners('error');
-                this.socket.removeAllListeners('timeout');
+            const fail = (error) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                socket.destroy();
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                this.encryptionKey = null;
+
+                // disconnect() during the attempt keeps us closed
+                if (this.state !== STATE.CLOSED) {
+                    this.setState(STATE.IDLE);
+                }
+                reject(error);
             };
 
-            this.socket.once('error', (err) => {
-                cleanup();
-                reject(new Error(`Connection failed: ${err.message}`));
+            socket.once('error', (err) => {
+                fail(new Error(`Connection failed: ${err.message}`));
             });
 
-            this.socket.once('timeout', () => {
-                cleanup();
-                this.socket.destroy();
-                reject(new Error('Connection timeout'));
+            socket.once('timeout', () => {
+                fail(new Error('Connection timeout'));
             });
 
-            this.socket.connect(this.port, this.host, async () => {
-                cleanup();
-                this.setupSocketHandlers();
+            socket.once('close', () => {
+                fail(new Error('Connection closed'));
+            });
+
+            socket.connect(this.port, this.host, async () => {
+                socket.removeAllListeners('timeout');
+                this.setState(STATE.HANDSHAKING);
+                this.setupSocketHandlers(socket);
 
                 try {
                     // Fetch gateway ID to get encryption key
                     await this.initializeEncryption();
-                    this.connected = true;
-                    this.reconnecting = false;
-                    this.emit('connected');
-                    resolve();
                 } catch (error) {
-                    this.socket.destroy();
-                    reject(error);
+                    fail(error);
+                    return;
                 }
+
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                this.reconnectAttempts = 0;
+                this.setState(STATE.READY);
+                this.emit('connected');
+                resolve();
             });
         });
+
+        const clear = () => {
+            this.connectPromise = null;
+        };
+        this.connectPromise.then(clear, clear);
+
+        return this.connectPromise;
     }
 
     /**
      * Set up socket event handlers
+     * @param {net.Socket} socket
      */
-    setupSocketHandlers() {
-        this.socket.on('data', (data) => {
+    setupSocketHandlers(socket) {
+        socket.on('data', (data) => {
             this.handleData(data);
         });
 
-        this.socket.on('close', () => {
-            this.connected = false;
+        socket.on('close', () => {
+            // Only a ready connection reconnects on its own; failures while
+            // connecting are reported through connect()
+            if (socket !== this.socket || this.state !== STATE.READY) {
+                return;
+            }
+
+            this.socket = null;
+            this.encryptionKey = null;
+            this.stopPolling();
+            this.failPendingCommands(new Error('Connection closed'));
+            this.setState(STATE.IDLE);
             this.emit('disconnected');
             this.scheduleReconnect();
         });
 
-        this.socket.on('error', (err) => {
+        socket.on('error', (err) => {
             this.log.error('Socket error:', err.message);
             this.emit('error', err);
         });
 
-        this.socket.on('timeout', () => {
+        socket.on('timeout', () => {
             this.log.warn('Socket timeout - attempting to keep alive');
             this.ping().catch(() => { });
         });
@@ -125,11 +255,19 @@ class SmartikaHubConnection extends EventEmitter {
      */
     initializeEncryption() {
         return new Promise((resolve, reject) => {
+            const socket = this.socket;
             const request = protocol.createGatewayIdRequest();
             this.debugLog(`Sending gateway ID request: ${request.toString('hex').toUpperCase()}`);
 
+            // Timeout for gateway ID response
+            const timeout = setTimeout(() => {
+                socket.removeListener('data', handler);
+                reject(new Error('Gateway ID request timeout'));
+            }, 5000);
+
             // Gateway ID response is unencrypted
             const handler = (data) => {
+                clearTimeout(timeout);
                 try {
                     const result = protocol.parseGatewayIdResponse(data);
                     this.hubId = result.hubId;
@@ -142,75 +280,213 @@ class SmartikaHubConnection extends EventEmitter {
                 }
             };
 
-            this.socket.once('data', handler);
-            this.socket.write(request);
-
-            // Timeout for gateway ID response
-            setTimeout(() => {
-                this.socket.removeListener('data', handler);
-                reject(new Error('Gateway ID request timeout'));
-            }, 5000);
+            socket.once('data', handler);
+            socket.write(request);
         });
     }
 
     /**
      * Handle incoming data from the hub
+     *
+     * The hub encrypts every frame separately (AES-128-CBC, fixed IV, padded to
+     * 16 bytes), but TCP may split a frame across chunks or coalesce several
+     * frames into one. Complete blocks are decrypted one at a time until the
+     * frame length announced in the header is reached; anything after that
+     * stays buffered as the start of the next frame.
      * @param {Buffer} data
      */
     handleData(data) {
-        // Append to buffer
-        this.responseBuffer = Buffer.concat([this.responseBuffer, data]);
-
-        // AES-128-CBC requires data in 16-byte blocks. If the buffer isn't a
-        // multiple of 16, the response hasn't fully arrived yet — wait for more.
-        if (this.responseBuffer.length % 16 !== 0) {
+        // Data before the handshake completes is the unencrypted gateway ID
+        // response, which initializeEncryption() handles on its own
+        if (!this.encryptionKey) {
             return;
         }
 
-        // Try to process complete packets
-        if (this.pendingCommand && this.responseBuffer.length > 0) {
-            const { resolve, reject, timeout } = this.pendingCommand;
-            clearTimeout(timeout);
+        this.responseBuffer = Buffer.concat([this.responseBuffer, data]);
+
+        while (this.responseBuffer.length >= crypto.BLOCK_SIZE) {
+            const block = this.responseBuffer.subarray(0, crypto.BLOCK_SIZE);
+            this.responseBuffer = this.responseBuffer.subarray(crypto.BLOCK_SIZE);
+
+            const plain = crypto.decryptBlock(block, this.encryptionKey, this.frameIv);
+            this.frameIv = Buffer.from(block);
+
+            // First block of a frame must carry a start mark, otherwise we are
+            // out of sync - drop the block and try the next one as a new frame
+            if (this.frameBuffer.length === 0) {
+                const startMark = plain.readUInt16BE(0);
+                if (startMark !== protocol.START_MARK_RESPONSE && startMark !== protocol.START_MARK_REQUEST) {
+                    this.log.warn(`Discarding unframed block: ${plain.toString('hex').toUpperCase()}`);
+                    this.resetFramer();
+                    continue;
+                }
+            }
+
+            this.frameBuffer = Buffer.concat([this.frameBuffer, plain]);
+
+            // Header: start(2) + cmd(2) + dataLen(2) + listLen(2), trailer: fcs(1) + end(2)
+            const frameLength = this.frameBuffer.readUInt16BE(4) + 11;
+            if (this.frameBuffer.length < frameLength) {
+                continue;
+            }
+
+            // Bytes past the frame in its last block are padding
+            const frame = this.frameBuffer.subarray(0, frameLength);
+            this.resetFramer();
 
             try {
-                // Decrypt the response
-                const decrypted = crypto.decrypt(this.responseBuffer, this.encryptionKey);
-                this.debugLog(`Response (${decrypted.length}B): ${decrypted.toString('hex').toUpperCase()}`);
-
-                this.pendingCommand = null;
-                this.responseBuffer = Buffer.alloc(0);
-                resolve(decrypted);
-                
-                // Process next command in queue
-                this.processNextCommand();
+                protocol.parsePacket(frame);
             } catch (error) {
-                this.log.warn(`Decrypt failed (${this.responseBuffer.length}B buffer): ${error.message}`);
-                this.pendingCommand = null;
-                this.responseBuffer = Buffer.alloc(0);
-                reject(error);
-                
-                // Process next command in queue even after error
-                this.processNextCommand();
+                this.log.warn(`Dropping malformed frame (${error.message}): ${frame.toString('hex').toUpperCase()}`);
+                continue;
+            }
+
+            this.debugLog(`Response (${frame.length}B): ${frame.toString('hex').toUpperCase()}`);
+            this.dispatchFrame(frame);
+        }
+    }
+
+    /**
+     * Reset the per-frame decryption state
+     * The next block received is decrypted as the start of a new frame.
+     */
+    resetFramer() {
+        this.frameBuffer = Buffer.alloc(0);
+        this.frameIv = crypto.IV;
+    }
+
+    /**
+     * Deliver a complete, checksum-verified frame
+     * Frames are matched to the pending command by command ID. Switch and dim
+     * pushes share their command ID with the replies to our own writes, so
+     * they are told apart by layout first and never resolve a write. A late
+     * reply to a command that already timed out is discarded, and state
+     * changes pushed by the hub are emitted as status updates. Replies to push
+     * commands that match nothing (e.g. too late to still be remembered) are
+     * dropped. Any other mismatch rejects the pending command instead of
+     * resolving it with the wrong response.
+     * @param {Buffer} frame - Decrypted frame without padding
+     */
+    dispatchFrame(frame) {
+        const cmdId = frame.readUInt16BE(2);
+        const pending = this.pendingCommand;
+
+        if (cmdId !== protocol.CMD.DEVICE_STATUS && protocol.PUSH_COMMANDS.includes(cmdId) && protocol.isStatusEvent(frame)) {
+            this.handlePushFrame(frame);
+            return;
+        }
+
+        if (pending && pending.cmdId === cmdId) {
+            clearTimeout(pending.timeout);
+            this.pendingCommand = null;
+            pending.resolve(frame);
+            this.processNextCommand();
+            return;
+        }
+
+        const abandonedIndex = this.abandonedCmdIds.indexOf(cmdId);
+        if (abandonedIndex !== -1) {
+            this.abandonedCmdIds.splice(abandonedIndex, 1);
+            this.debugLog(`Discarding late 0x${cmdId.toString(16)} response`);
+            return;
+        }
+
+        if (protocol.PUSH_COMMANDS.includes(cmdId)) {
+            if (protocol.isStatusEvent(frame)) {
+                this.handlePushFrame(frame);
+            } else {
+                this.debugLog(`Dropping unmatched 0x${cmdId.toString(16)} reply: ${frame.toString('hex').toUpperCase()}`);
             }
+            return;
+        }
+
+        if (!pending) {
+            this.debugLog(`Ignoring frame with no pending command: ${frame.toString('hex').toUpperCase()}`);
+            return;
+        }
+
+        clearTimeout(pending.timeout);
+        this.pendingCommand = null;
+        // Its real response may still arrive - make sure it is not mis-routed
+        this.abandonCommand(pending.cmdId);
+        pending.reject(new protocol.UnexpectedResponseError(pending.cmdId, cmdId));
+        this.processNextCommand();
+    }
+
+    /**
+     * Handle a state change the hub pushed without being asked
+     * @param {Buffer} frame
+     */
+    handlePushFrame(frame) {
+        let devices;
+        try {
+            devices = protocol.parseStatusEvent(frame);
+        } catch (error) {
+            this.log.warn(`Failed to parse pushed frame: ${error.message}`);
+            return;
+        }
+
+        if (!this.pushSupported) {
+            this.pushSupported = true;
+            this.log.info('Hub pushes state changes');
+            this.emit('pushSupported');
+        }
+
+        this.debugLog(`Push (${devices.length} devices): ${this.formatAddrs(devices.map(d => d.shortAddress))}`);
+        this.emit('deviceStatusUpdate', devices);
+    }
+
+    /**
+     * Remember a command whose response is no longer awaited
+     * @param {number} cmdId
+     */
+    abandonCommand(cmdId) {
+        this.abandonedCmdIds.push(cmdId);
+        if (this.abandonedCmdIds.length > MAX_ABANDONED_COMMANDS) {
+            this.abandonedCmdIds.shift();
         }
     }
 
     /**
      * Send an encrypted command to the hub
-     * Commands are queued and executed sequentially
+     * Commands are queued and executed sequentially. The response is expected
+     * to carry the same command ID as the request.
+     *
+     * A command sent with a coalesce key replaces a queued, not yet sent
+     * command with the same key: only the latest value goes out, and both
+     * callers settle with its response.
      * @param {Buffer} request - Protocol request buffer
      * @param {number} timeoutMs - Timeout in milliseconds
+     * @param {string|null} coalesceKey - Identifies writes that supersede each other
      * @returns {Promise<Buffer>} - Decrypted response
      */
-    sendCommand(request, timeoutMs = 10000) {
+    sendCommand(request, timeoutMs = COMMAND_TIMEOUT, coalesceKey = null) {
         return new Promise((resolve, reject) => {
             if (!this.connected || !this.encryptionKey) {
                 reject(new Error('Not connected to hub'));
                 return;
             }
 
+            const cmdId = request.readUInt16BE(2);
+            const entry = { request, cmdId, resolve, reject, timeoutMs, coalesceKey };
+
+            // Drop a superseded write, settling its caller with the new one
+            const index = coalesceKey ? this.commandQueue.findIndex(queued => queued.coalesceKey === coalesceKey) : -1;
+            if (index !== -1) {
+                const [superseded] = this.commandQueue.splice(index, 1);
+                this.debugLog(`Coalesced queued command ${coalesceKey}`);
+                entry.resolve = (response) => {
+                    superseded.resolve(response);
+                    resolve(response);
+                };
+                entry.reject = (error) => {
+                    superseded.reject(error);
+                    reject(error);
+                };
+            }
+
             // Add to queue
-            this.commandQueue.push({ request, resolve, reject, timeoutMs });
+            this.commandQueue.push(entry);
 
             // Process queue if not already processing
             if (!this.pendingCommand) {
@@ -228,7 +504,7 @@ class SmartikaHubConnection extends EventEmitter {
             return;
         }
 
-        const { request, resolve, reject, timeoutMs } = this.commandQueue.shift();
+        const { request, cmdId, resolve, reject, timeoutMs } = this.commandQueue.shift();
 
         this.debugLog(`Request: ${request.toString('hex').toUpperCase()}`);
 
@@ -237,22 +513,47 @@ class SmartikaHubConnection extends EventEmitter {
         const timeout = setTimeout(() => {
             this.log.warn(`Command timeout after ${timeoutMs}ms (${this.commandQueue.length} remaining in queue)`);
             this.pendingCommand = null;
-            this.responseBuffer = Buffer.alloc(0);
+            this.abandonCommand(cmdId);
             reject(new Error('Command timeout'));
             // Process next command even after timeout
             this.processNextCommand();
         }, timeoutMs);
 
-        this.pendingCommand = { resolve, reject, timeout };
-        this.responseBuffer = Buffer.alloc(0);
+        this.pendingCommand = { cmdId, resolve, reject, timeout };
 
         this.socket.write(encrypted);
     }
 
+    /**
+     * Reject the in-flight command and everything still queued
+     * @param {Error} error
+     */
+    failPendingCommands(error) {
+        if (this.pendingCommand) {
+            clearTimeout(this.pendingCommand.timeout);
+            this.pendingCommand.reject(error);
+            this.pendingCommand = null;
+        }
+
+        const queued = this.commandQueue;
+        this.commandQueue = [];
+        queued.forEach(({ reject }) => reject(error));
+
+        if (this.batchTimer) {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+        }
+        const writes = this.pendingWrites;
+        this.pendingWrites = { power: [], brightness: [], temperature: [] };
+        Object.values(writes).flat().forEach(({ reject }) => reject(error));
+    }
+
     /**
      * Disconnect from the hub
+     * The connection stays closed: no reconnect is scheduled afterwards.
      */
     disconnect() {
+        this.setState(STATE.CLOSED);
         this.stopPolling();
 
         if (this.reconnectTimer) {
@@ -260,41 +561,79 @@ class SmartikaHubConnection extends EventEmitter {
             this.reconnectTimer = null;
         }
 
-        if (this.pingTimer) {
-            clearInterval(this.pingTimer);
-            this.pingTimer = null;
-        }
-
         if (this.socket) {
             this.socket.destroy();
             this.socket = null;
         }
 
-        this.connected = false;
         this.encryptionKey = null;
+        this.failPendingCommands(new Error('Disconnected'));
+    }
+
+    /**
+     * Compute the delay before the next reconnect attempt
+     * Exponential backoff from reconnectDelay, capped at reconnectMaxDelay,
+     * with ±reconnectJitter random spread so several clients don't retry in step.
+     * @param {number} attempt - Number of failed attempts so far (0-based)
+     * @returns {number} - Delay in ms
+     */
+    getReconnectDelay(attempt) {
+        const base = Math.min(this.reconnectMaxDelay, this.reconnectDelay * 2 ** attempt);
+        const jitter = base * this.reconnectJitter * (Math.random() * 2 - 1);
+        return Math.round(Math.min(this.reconnectMaxDelay, Math.max(0, base + jitter)));
+    }
+
+    /**
+     * Point the connection at a new hub address (e.g. after a DHCP change)
+     * A pending reconnect is retried right away at the new address. A working
+     * connection is left alone; the new address is used next time it drops.
+     * @param {string} host - New hub IP address
+     */
+    setHost(host) {
+        if (host === this.host) {
+            return;
+        }
+
+        this.log.info(`Hub address changed: ${this.host} → ${host}`);
+        this.host = host;
+        this.reconnectAttempts = 0;
+
+        if (this.state === STATE.BACKOFF && this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.scheduleReconnect(0);
+        }
     }
 
     /**
      * Schedule a reconnection attempt
+     * @param {number} [delay] - Delay in ms (default: next backoff delay)
      */
-    scheduleReconnect() {
-        if (this.reconnecting) {
+    scheduleReconnect(delay) {
+        if (this.state === STATE.CLOSED || this.reconnectTimer || this.connectPromise) {
             return;
         }
 
-        this.reconnecting = true;
-        const delay = 5000;
+        if (delay === undefined) {
+            delay = this.getReconnectDelay(this.reconnectAttempts);
+        }
+        this.reconnectAttempts++;
+        this.setState(STATE.BACKOFF);
 
-        this.log.info(`Reconnecting in ${delay / 1000} seconds...`);
+        this.log.info(`Reconnecting in ${(delay / 1000).toFixed(1)} seconds (attempt ${this.reconnectAttempts})...`);
 
         this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
             try {
                 await this.connect();
                 this.log.info('Reconnected to hub');
                 this.startPolling();
             } catch (error) {
+                if (this.state === STATE.CLOSED) {
+                    return;
+                }
                 this.log.error('Reconnection failed:', error.message);
-                this.reconnecting = false;
+                this.emit('reconnectFailed', this.reconnectAttempts, error);
                 this.scheduleReconnect();
             }
         }, delay);
@@ -324,6 +663,23 @@ class SmartikaHubConnection extends EventEmitter {
         }, 30000);
     }
 
+    /**
+     * Change the status polling interval
+     * Takes effect immediately if polling is already running.
+     * @param {number} interval - Polling interval in ms
+     */
+    setPollingInterval(interval) {
+        this.pollingInterval = interval;
+
+        if (this.pollingTimer) {
+            clearInterval(this.pollingTimer);
+            this.pollingTimer = setInterval(() => {
+                this.pollDeviceStatus();
+            }, this.pollingInterval);
+            this.debugLog(`Status polling interval changed to ${this.pollingInterval}ms`);
+        }
+    }
+
     /**
      * Stop polling for device status
      */
@@ -412,13 +768,132 @@ class SmartikaHubConnection extends EventEmitter {
         return protocol.parseDeviceStatusResponse(response);
     }
 
+    /**
+     * Gather a write until the batch window closes
+     * Without a batch window the write is sent at once.
+     * @param {string} kind - 'power', 'brightness' or 'temperature'
+     * @param {boolean|number} value - Value to write
+     * @param {number[]} deviceIds - Device IDs to control
+     * @returns {Promise<Object>} - Result of the frame that carried the write
+     */
+    queueWrite(kind, value, deviceIds) {
+        if (this.batchWindow <= 0) {
+            return this.sendWrite(kind, value, deviceIds);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingWrites[kind].push({ value, deviceIds, resolve, reject });
+            if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flushWrites(), this.batchWindow);
+            }
+        });
+    }
+
+    /**
+     * Send a single write of the given kind
+     * @param {string} kind - 'power', 'brightness' or 'temperature'
+     * @param {boolean|number} value - Value to write
+     * @param {number[]} deviceIds - Device IDs to control
+     * @returns {Promise<Object>}
+     */
+    sendWrite(kind, value, deviceIds) {
+        switch (kind) {
+            case 'power':
+                return this.sendDevicePower(value, deviceIds);
+            case 'brightness':
+                return this.sendLightBrightness(value, deviceIds);
+            default:
+                return this.sendLightTemperature(value, deviceIds);
+        }
+    }
+
+    /**
+     * Send the writes gathered during the batch window
+     * Power writes are merged into one list frame per on/off value. Brightness
+     * and temperature writes share one list frame when every device gets the
+     * same value, and one batch frame otherwise. Power goes first, so lights
+     * turned on by a scene are on before they are dimmed.
+     */
+    async flushWrites() {
+        const writes = this.pendingWrites;
+        this.pendingWrites = { power: [], brightness: [], temperature: [] };
+        this.batchTimer = null;
+
+        for (const kind of ['power', 'brightness', 'temperature']) {
+            if (writes[kind].length === 0) {
+                continue;
+            }
+
+            // Latest value per device wins
+            const values = new Map();
+            writes[kind].forEach(({ value, deviceIds }) => {
+                deviceIds.forEach(id => values.set(id, value));
+            });
+
+            try {
+                const result = kind === 'power'
+                    ? await this.sendPower(values)
+                    : await this.sendLevels(kind, values);
+                writes[kind].forEach(({ resolve }) => resolve(result));
+            } catch (error) {
+                writes[kind].forEach(({ reject }) => reject(error));
+            }
+        }
+    }
+
+    /**
+     * Send power states in one frame per on/off value
+     * @param {Map<number, boolean>} values - Power state by device ID
+     * @returns {Promise<Object>} - Result of the last frame
+     */
+    async sendPower(values) {
+        let result;
+        for (const on of [true, false]) {
+            const ids = [...values.keys()].filter(id => values.get(id) === on);
+            if (ids.length > 0) {
+                result = await this.sendDevicePower(on, ids);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Send brightness or temperature levels in as few frames as possible
+     * @param {string} kind - 'brightness' or 'temperature'
+     * @param {Map<number, number>} values - Level by device ID
+     * @returns {Promise<Object>}
+     */
+    sendLevels(kind, values) {
+        const ids = [...values.keys()];
+        const levels = new Set(values.values());
+
+        if (levels.size === 1) {
+            return this.sendWrite(kind, [...levels][0], ids);
+        }
+
+        const devices = ids.map(deviceId => ({ deviceId, [kind]: values.get(deviceId) }));
+        return kind === 'brightness'
+            ? this.setLightBrightnessBatch(devices)
+            : this.setLightTemperatureBatch(devices);
+    }
+
     /**
      * Turn device(s) on or off
      * @param {boolean} on - True to turn on, false to turn off
      * @param {number[]} deviceIds - Device IDs to control
      * @returns {Promise<Object>}
      */
-    async setDevicePower(on, deviceIds) {
+    setDevicePower(on, deviceIds) {
+        return this.queueWrite('power', on, deviceIds);
+    }
+
+    /**
+     * Send a power frame for device(s) right away
+     * @param {boolean} on - True to turn on, false to turn off
+     * @param {number[]} deviceIds - Device IDs to control
+     * @returns {Promise<Object>}
+     */
+    async sendDevicePower(on, deviceIds) {
         const label = `Power ${on ? 'ON' : 'OFF'} → [${this.formatAddrs(deviceIds)}]`;
         try {
             const response = await this.sendCommand(protocol.createDeviceSwitchRequest(on, deviceIds));
@@ -437,11 +912,22 @@ class SmartikaHubConnection extends EventEmitter {
      * @param {number[]} deviceIds - Device IDs to control
      * @returns {Promise<Object>}
      */
-    async setLightBrightness(brightness, deviceIds) {
+    setLightBrightness(brightness, deviceIds) {
+        return this.queueWrite('brightness', brightness, deviceIds);
+    }
+
+    /**
+     * Send a brightness frame for light(s) right away
+     * @param {number} brightness - Brightness level (0-255)
+     * @param {number[]} deviceIds - Device IDs to control
+     * @returns {Promise<Object>}
+     */
+    async sendLightBrightness(brightness, deviceIds) {
         const pct = Math.round(brightness / 255 * 100);
         const label = `Brightness ${pct}% → [${this.formatAddrs(deviceIds)}]`;
         try {
-            const response = await this.sendCommand(protocol.createLightDimRequest(brightness, deviceIds));
+            const response = await this.sendCommand(protocol.createLightDimRequest(brightness, deviceIds), COMMAND_TIMEOUT,
+                this.coalesceKey(protocol.CMD.LIGHT_DIM, deviceIds));
             const result = protocol.parseLightDimResponse(response);
             this.log.info(`${label} OK`);
             return result;
@@ -457,10 +943,21 @@ class SmartikaHubConnection extends EventEmitter {
      * @param {number[]} deviceIds - Device IDs to control
      * @returns {Promise<Object>}
      */
-    async setLightTemperature(temperature, deviceIds) {
+    setLightTemperature(temperature, deviceIds) {
+        return this.queueWrite('temperature', temperature, deviceIds);
+    }
+
+    /**
+     * Send a color temperature frame for light(s) right away
+     * @param {number} temperature - Temperature (0=warm, 255=cool)
+     * @param {number[]} deviceIds - Device IDs to control
+     * @returns {Promise<Object>}
+     */
+    async sendLightTemperature(temperature, deviceIds) {
         const label = `Temperature ${temperature} → [${this.formatAddrs(deviceIds)}]`;
         try {
-            const response = await this.sendCommand(protocol.createLightTemperatureRequest(temperature, deviceIds));
+            const response = await this.sendCommand(protocol.createLightTemperatureRequest(temperature, deviceIds), COMMAND_TIMEOUT,
+                this.coalesceKey(protocol.CMD.LIGHT_TEMPERATURE, deviceIds));
             const result = protocol.parseLightTemperatureResponse(response);
             this.log.info(`${label} OK`);
             return result;
@@ -470,16 +967,79 @@ class SmartikaHubConnection extends EventEmitter {
         }
     }
 
+    /**
+     * Set a different brightness on each device in one frame
+     * @param {Array<{deviceId: number, brightness: number}>} devices - Brightness levels (0-255)
+     * @returns {Promise<Object>}
+     */
+    async setLightBrightnessBatch(devices) {
+        const label = `Brightness batch → [${devices.map(d => `0x${d.deviceId.toString(16).toUpperCase()}=${Math.round(d.brightness / 255 * 100)}%`).join(', ')}]`;
+        try {
+            const response = await this.sendCommand(protocol.createLightDimBatchRequest(devices), COMMAND_TIMEOUT,
+                this.coalesceKey(protocol.CMD.LIGHT_DIM_BATCH, devices.map(d => d.deviceId)));
+            const result = protocol.parseLightDimBatchResponse(response);
+            this.debugLog(`${label} OK`);
+            return result;
+        } catch (error) {
+            this.log.warn(`${label} FAILED: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a different color temperature on each device in one frame
+     * @param {Array<{deviceId: number, temperature: number}>} devices - Temperatures (0=warm, 255=cool)
+     * @returns {Promise<Object>}
+     */
+    async setLightTemperatureBatch(devices) {
+        const label = `Temperature batch → [${devices.map(d => `0x${d.deviceId.toString(16).toUpperCase()}=${d.temperature}`).join(', ')}]`;
+        try {
+            const response = await this.sendCommand(protocol.createLightTemperatureBatchRequest(devices), COMMAND_TIMEOUT,
+                this.coalesceKey(protocol.CMD.LIGHT_TEMPERATURE_BATCH, devices.map(d => d.deviceId)));
+            const result = protocol.parseLightTemperatureBatchResponse(response);
+            this.debugLog(`${label} OK`);
+            return result;
+        } catch (error) {
+            this.log.warn(`${label} FAILED: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Set fan speed
      * @param {number} speed - Fan speed (0-255)
      * @param {number[]} deviceIds - Device IDs to control
-     * @returns {Promise<void>}
+     * @returns {Promise<Object>}
      */
     async setFanSpeed(speed, deviceIds) {
         const label = `Fan speed ${speed} → [${this.formatAddrs(deviceIds)}]`;
         try {
-            await this.sendCommand(protocol.createFanControlRequest(speed, deviceIds));
+            const response = await this.sendCommand(protocol.createFanControlRequest(speed, deviceIds), COMMAND_TIMEOUT,
+                this.coalesceKey(protocol.CMD.FAN_CONTROL, deviceIds));
+            const result = protocol.parseFanControlResponse(response);
+            this.log.info(`${label} OK`);
+            return result;
+        } catch (error) {
+            this.log.warn(`${label} FAILED: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Make a device identify itself (blink, speed bump or double toggle)
+     * The sequence ends by restoring the state passed in.
+     * @param {Object} device - Device status ({ shortAddress, category, on, brightness, speed })
+     * @returns {Promise<void>}
+     */
+    async identifyDevice(device) {
+        const label = `Identify [${this.formatAddrs([device.shortAddress])}]`;
+        try {
+            for (const { request, delay } of protocol.createIdentifySequence(device)) {
+                await this.sendCommand(request);
+                if (delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
             this.log.info(`${label} OK`);
         } catch (error) {
             this.log.warn(`${label} FAILED: ${error.message}`);
@@ -563,6 +1123,16 @@ class SmartikaHubConnection extends EventEmitter {
         return { groups, groupedDeviceIds };
     }
 
+    /**
+     * Coalesce key for a write whose latest value supersedes earlier ones
+     * @param {number} cmd - protocol.CMD value
+     * @param {number[]} deviceIds - Target device IDs
+     * @returns {string}
+     */
+    coalesceKey(cmd, deviceIds) {
+        return `${cmd}:${[...deviceIds].sort((a, b) => a - b).join(',')}`;
+    }
+
     /**
      * Debug logging helper
      * @param {string} message
@@ -578,4 +1148,6 @@ class SmartikaHubConnection extends EventEmitter {
     }
 }
 
+SmartikaHubConnection.STATE = STATE;
+
 module.exports = SmartikaHubConnection;
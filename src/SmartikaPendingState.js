@@ -0,0 +1,148 @@
+'use strict';
+
+const DEFAULT_WINDOW = 5000; // 5 seconds
+
+/**
+ * Smartika Pending State
+ *
+ * Tracks writes per status field ('on', 'brightness', 'speed', ...) of one
+ * accessory. While a write is in flight, and for a short window after it
+ * succeeds, polled values for that field are ignored: the hub often reports
+ * the old value until it has refreshed. A failed write rolls the field back
+ * to the last value the hub confirmed.
+ */
+class SmartikaPendingState {
+    /**
+     * @param {number} [window] - Time in ms polls are ignored after a write succeeds
+     * @param {Function} restore - Called with a status object to roll fields back
+     */
+    constructor(window, restore) {
+        this.window = window ?? DEFAULT_WINDOW;
+        this.restore = restore;
+
+        // Per field: { inFlight, latest, settledAt, confirmed }
+        this.fields = new Map();
+    }
+
+    /**
+     * Send a write with its fields pending
+     * @param {Object} previous - Current value per status field (status units)
+     * @param {Object} next - Value written per status field (status units)
+     * @param {Function} send - Sends the write; may apply the new state first
+     * @returns {Promise<*>} - Result of send
+     */
+    async track(previous, next, send) {
+        const writes = Object.keys(next).map(field => [field, this.begin(field, previous[field])]);
+
+        try {
+            const result = await send();
+            writes.forEach(([field, write]) => this.succeed(field, write, next[field]));
+            return result;
+        } catch (error) {
+            const rollback = {};
+            writes.forEach(([field, write]) => {
+                if (this.fail(field, write)) {
+                    rollback[field] = this.fields.get(field).confirmed;
+                }
+            });
+            if (Object.keys(rollback).length > 0) {
+                this.restore(rollback);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a field as being written
+     * @param {string} field
+     * @param {*} current - Value before the write, confirmed unless another write is in flight
+     * @returns {Object} - Token identifying the write
+     */
+    begin(field, current) {
+        const entry = this.fields.get(field) || { inFlight: 0, latest: null, settledAt: null, confirmed: current };
+        if (entry.inFlight === 0) {
+            entry.confirmed = current;
+        }
+
+        const write = {};
+        entry.inFlight++;
+        entry.latest = write;
+        this.fields.set(field, entry);
+        return write;
+    }
+
+    /**
+     * Record a successful write and start the window
+     * @param {string} field
+     * @param {Object} write - Token from begin
+     * @param {*} value - Value written
+     */
+    succeed(field, write, value) {
+        const entry = this.fields.get(field);
+        entry.inFlight--;
+        entry.confirmed = value;
+        entry.settledAt = Date.now();
+    }
+
+    /**
+     * Record a failed write
+     * @param {string} field
+     * @param {Object} write - Token from begin
+     * @returns {boolean} - True if the field should roll back (no newer write)
+     */
+    fail(field, write) {
+        const entry = this.fields.get(field);
+        entry.inFlight--;
+        if (entry.latest !== write) {
+            return false;
+        }
+
+        // The hub's state is unknown now; let the next poll through
+        entry.settledAt = null;
+        return true;
+    }
+
+    /**
+     * Ignore polls of fields written some other way (e.g. through their group)
+     * @param {string[]} fields
+     */
+    hold(fields) {
+        const now = Date.now();
+        fields.forEach((field) => {
+            const entry = this.fields.get(field) || { inFlight: 0, latest: null, settledAt: null, confirmed: undefined };
+            entry.settledAt = now;
+            this.fields.set(field, entry);
+        });
+    }
+
+    /**
+     * Check whether polled values of a field are ignored right now
+     * @param {string} field
+     * @returns {boolean}
+     */
+    isPending(field) {
+        const entry = this.fields.get(field);
+        if (!entry) {
+            return false;
+        }
+        return entry.inFlight > 0 ||
+            (entry.settledAt !== null && Date.now() - entry.settledAt < this.window);
+    }
+
+    /**
+     * Drop pending fields from a status update
+     * @param {Object} status - Status from hub
+     * @returns {Object} - Status with only the fields that may be applied
+     */
+    filter(status) {
+        const filtered = {};
+        for (const [field, value] of Object.entries(status)) {
+            if (!this.isPending(field)) {
+                filtered[field] = value;
+            }
+        }
+        return filtered;
+    }
+}
+
+module.exports = SmartikaPendingState;
@@ -8,6 +8,20 @@ const SmartikaFanAccessory = require('./accessories/SmartikaFanAccessory');
 const SmartikaPlugAccessory = require('./accessories/SmartikaPlugAccessory');
 const protocol = require('./SmartikaProtocol');
 
+// Ways to expose hub groups
+const GROUP_MODE = {
+    GROUP_ONLY: 'group-only',
+    MEMBERS_ONLY: 'members-only',
+    BOTH: 'both',
+};
+
+// Brightness a light turns on at
+const ON_LEVEL = {
+    LAST: 'last',
+    FIXED: 'fixed',
+    SCHEDULE: 'schedule',
+};
+
 /**
  * Smartika Platform Plugin for Homebridge
  * 
@@ -28,15 +42,20 @@ class SmartikaPlatform {
         // Store restored cached accessories
         this.accessories = new Map();
 
-        // Hub connection instance
-        this.hub = null;
+        // Hub entries ({ name, host, hubId, port, namespaced, connection,
+        // groups, deviceStatus, lastSeen }), one per configured hub
+        this.hubs = [];
 
-        // Discovery instance
+        // Discovery instance (also used to follow hubs when their IP changes)
         this.discovery = null;
+        this.hubMonitorStarted = false;
 
         // Device accessory handlers
         this.deviceHandlers = new Map();
 
+        // UUIDs of accessories whose device stopped showing up in status updates
+        this.unreachable = new Set();
+
         // Validate configuration
         if (!config) {
             this.log.error('No configuration found for Smartika platform');
@@ -44,23 +63,47 @@ class SmartikaPlatform {
         }
 
         this.log.info('Smartika Platform initializing...');
-        if (config.hubHost) {
-            this.log.info(`Hub IP: ${config.hubHost}`);
-        } else {
-            this.log.info('No hub IP configured - will use auto-discovery');
+
+        // How hub groups are exposed: the group, its members, or both
+        this.groupMode = config.groupMode || GROUP_MODE.GROUP_ONLY;
+        if (!Object.values(GROUP_MODE).includes(this.groupMode)) {
+            this.log.warn(`Unknown groupMode "${this.groupMode}" - using "${GROUP_MODE.GROUP_ONLY}"`);
+            this.groupMode = GROUP_MODE.GROUP_ONLY;
+        }
+
+        // Time-of-day brightness levels for lights set to turn on by schedule
+        this.onSchedule = this.parseOnSchedule(config.onSchedule);
+
+        this.hubs = this.parseHubConfigs();
+        if (this.hubs.length === 0) {
+            return;
+        }
+
+        for (const entry of this.hubs) {
+            const label = this.hubs.length > 1 ? `${entry.name}: ` : '';
+            if (entry.host) {
+                this.log.info(`${label}Hub IP: ${entry.host}`);
+            } else {
+                this.log.info(`${label}No hub IP configured - will use auto-discovery`);
+            }
+            if (entry.hubId) {
+                this.log.info(`${label}Hub ID: ${entry.hubId}`);
+            }
         }
 
         // Wait for Homebridge to finish launching before initializing
         this.api.on('didFinishLaunching', () => {
             this.log.debug('didFinishLaunching');
-            this.initializeHub();
+            this.initializeHubs();
         });
 
         // Handle shutdown
         this.api.on('shutdown', () => {
             this.log.info('Shutting down Smartika platform...');
-            if (this.hub) {
-                this.hub.disconnect();
+            for (const entry of this.hubs) {
+                if (entry.connection) {
+                    entry.connection.disconnect();
+                }
             }
             if (this.discovery) {
                 this.discovery.stopContinuousDiscovery();
@@ -69,68 +112,164 @@ class SmartikaPlatform {
     }
 
     /**
-     * Initialize connection to Smartika hub and discover devices
+     * Build hub entries from the configuration
+     * A `hubs` array configures several hubs; otherwise the top-level
+     * hubHost/hubId describe a single hub. Accessory UUIDs of the first hub keep
+     * their single-hub form, so moving a hub into the array (or adding hubs
+     * after it) keeps its accessories; the other hubs' UUIDs are namespaced by
+     * hub ID.
+     * @returns {Array<Object>} - Hub entries, empty if the configuration is invalid
+     */
+    parseHubConfigs() {
+        const multiHub = Array.isArray(this.config.hubs) && this.config.hubs.length > 0;
+        const hubConfigs = multiHub
+            ? this.config.hubs
+            : [{ name: this.config.name, hubHost: this.config.hubHost, hubId: this.config.hubId, hubPort: this.config.hubPort }];
+
+        const entries = [];
+        for (const [index, hubConfig] of hubConfigs.entries()) {
+            const name = hubConfig.name || (multiHub ? `Hub ${index + 1}` : 'Smartika Hub');
+
+            let hubId = null;
+            if (hubConfig.hubId) {
+                hubId = SmartikaDiscovery.normalizeHubId(hubConfig.hubId);
+                if (!hubId) {
+                    this.log.error(`Invalid hubId "${hubConfig.hubId}" for ${name} - expected the 12 or 16 hex digit ID from "SMARTIKA HUB - {ID}" (e.g. 00124B3289BB)`);
+                    return [];
+                }
+            }
+
+            // With several hubs, auto-discovery can't tell which one is meant
+            if (multiHub && hubConfigs.length > 1 && !hubConfig.hubHost && !hubId) {
+                this.log.error(`${name} needs a hubHost or hubId when several hubs are configured`);
+                return [];
+            }
+
+            entries.push({
+                name,
+                host: hubConfig.hubHost || null,
+                hubId,
+                port: hubConfig.hubPort || this.config.hubPort || protocol.HUB_PORT,
+                namespaced: index > 0,
+                connection: null,
+                groups: new Map(),
+                deviceStatus: new Map(),
+                lastSeen: new Map(),
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Resolve hub addresses (auto-discovery where needed) and connect to all hubs
      */
-    async initializeHub() {
-        let hubHost = this.config.hubHost;
+    async initializeHubs() {
+        const undiscovered = this.hubs.filter(entry => !entry.host);
 
         // If no hub IP configured, try auto-discovery
-        if (!hubHost) {
+        if (undiscovered.length > 0) {
             this.log.info('Starting hub auto-discovery...');
-            hubHost = await this.discoverHub();
+            const found = await this.discoverHubs();
 
-            if (!hubHost) {
-                this.log.error('No Smartika hub found on the network. Please configure hubHost manually.');
-                return;
+            for (const entry of undiscovered) {
+                const hubInfo = this.selectHub(found, entry);
+                if (hubInfo) {
+                    entry.host = hubInfo.ip;
+                }
             }
         }
 
+        await Promise.all(this.hubs
+            .filter(entry => entry.host)
+            .map(entry => this.initializeHub(entry)));
+    }
+
+    /**
+     * Initialize connection to a Smartika hub and discover its devices
+     * @param {Object} entry - Hub entry
+     */
+    async initializeHub(entry) {
+        const label = this.hubLabel(entry);
+
         try {
             // Create hub connection
-            this.hub = new SmartikaHubConnection({
-                host: hubHost,
-                port: this.config.hubPort || protocol.HUB_PORT,
+            const hub = new SmartikaHubConnection({
+                host: entry.host,
+                port: entry.port,
                 pollingInterval: this.config.pollingInterval || 5000,
+                reconnectDelay: this.config.reconnectDelay,
+                reconnectMaxDelay: this.config.reconnectMaxDelay,
+                batchWindow: this.config.batchWindow ?? 50,
                 log: this.log,
                 debug: this.config.debug || false,
             });
+            entry.connection = hub;
 
             // Set up event handlers
-            this.hub.on('connected', () => {
-                this.log.info(`Connected to Smartika hub at ${hubHost}`);
+            hub.on('connected', () => {
+                this.log.info(`${label}Connected to Smartika hub at ${hub.host}`);
+
+                const connectedHubId = hub.hubId.toString('hex').toUpperCase();
+                if (entry.hubId && !SmartikaDiscovery.matchesHubId({ hubId: connectedHubId }, entry.hubId)) {
+                    this.log.warn(`${label}Hub at ${hub.host} reports ID ${connectedHubId}, not the configured hubId ${entry.hubId}`);
+                }
+
+                this.startHubMonitor();
             });
 
-            this.hub.on('disconnected', () => {
-                this.log.warn('Disconnected from Smartika hub');
+            hub.on('reconnectFailed', (attempts) => {
+                this.handleReconnectFailed(entry, attempts);
             });
 
-            this.hub.on('deviceStatusUpdate', (devices) => {
-                this.handleDeviceStatusUpdate(devices);
+            hub.on('disconnected', () => {
+                this.log.warn(`${label}Disconnected from Smartika hub`);
+            });
+
+            hub.on('deviceStatusUpdate', (devices) => {
+                this.handleDeviceStatusUpdate(entry, devices);
+            });
+
+            // Once the hub proves it pushes state changes, polling is only a safety net
+            hub.on('pushSupported', () => {
+                const pushPollingInterval = this.config.pushPollingInterval ?? 60000;
+                if (pushPollingInterval > hub.pollingInterval) {
+                    this.log.info(`${label}Hub pushes state changes - slowing status polling to every ${pushPollingInterval / 1000}s`);
+                    hub.setPollingInterval(pushPollingInterval);
+                }
             });
 
-            this.hub.on('error', (error) => {
-                this.log.error('Hub error:', error.message);
+            hub.on('error', (error) => {
+                this.log.error(`${label}Hub error:`, error.message);
             });
 
             // Connect to hub
-            await this.hub.connect();
+            await hub.connect();
 
             // Discover devices
-            await this.discoverDevices();
+            await this.discoverDevices(entry);
 
             // Start polling for status updates
-            this.hub.startPolling();
+            hub.startPolling();
 
         } catch (error) {
-            this.log.error('Failed to initialize hub:', error.message);
+            this.log.error(`${label}Failed to initialize hub:`, error.message);
+
+            // Keep retrying in the background; devices are discovered once the
+            // hub answers (the reconnect itself starts polling)
+            const hub = entry.connection;
+            if (hub && !hub.connected) {
+                hub.once('connected', () => this.discoverDevices(entry));
+                hub.scheduleReconnect();
+            }
         }
     }
 
     /**
-     * Discover Smartika hub on the network using UDP broadcast
-     * @returns {Promise<string|null>} - Hub IP address or null if not found
+     * Discover Smartika hubs on the network using UDP broadcast
+     * @returns {Promise<Array>} - Hubs found (empty on failure)
      */
-    async discoverHub() {
+    async discoverHubs() {
         try {
             this.discovery = new SmartikaDiscovery({
                 log: this.log,
@@ -144,64 +283,204 @@ class SmartikaPlatform {
             const hubs = await this.discovery.discover();
 
             if (hubs.length === 0) {
-                return null;
+                this.log.error('No Smartika hub found on the network. Please configure hubHost manually.');
             }
 
-            // Use the first hub found (or filter by hubId if configured)
-            const hub = hubs[0];
-            this.log.info(`Using hub at ${hub.ip} (${hub.hubId})`);
-            return hub.ip;
+            return hubs;
 
         } catch (error) {
             this.log.error('Hub discovery failed:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Pick the discovered hub for a hub entry
+     * Picks the hub matching the entry's hubId, if any.
+     * @param {Array} hubs - Hubs found by discovery
+     * @param {Object} entry - Hub entry
+     * @returns {Object|null} - Hub info or null if not found
+     */
+    selectHub(hubs, entry) {
+        if (hubs.length === 0) {
             return null;
         }
+
+        const label = this.hubLabel(entry);
+        let hub = hubs[0];
+        if (entry.hubId) {
+            hub = hubs.find(hubInfo => SmartikaDiscovery.matchesHubId(hubInfo, entry.hubId));
+            if (!hub) {
+                this.log.error(`${label}No hub with ID ${entry.hubId} found. Hubs seen: ${hubs.map(h => `${h.hubId} (${h.ip})`).join(', ')}`);
+                return null;
+            }
+        } else if (hubs.length > 1) {
+            this.log.warn(`Found ${hubs.length} hubs: ${hubs.map(h => `${h.hubId} (${h.ip})`).join(', ')}. Set hubId to choose one.`);
+        }
+
+        this.log.info(`${label}Using hub at ${hub.ip} (${hub.hubId})`);
+        return hub;
     }
 
     /**
-     * Discover devices from the hub and register them as accessories
+     * Watch hub broadcasts so the connection follows the hub to a new IP
+     * The hub is pinned by the MAC it reported in the gateway ID handshake.
      */
-    async discoverDevices() {
+    startHubMonitor() {
+        if (this.config.hubRediscovery === false) {
+            return;
+        }
+
+        if (!this.discovery) {
+            this.discovery = new SmartikaDiscovery({ log: this.log });
+        }
+
+        if (!this.hubMonitorStarted) {
+            this.hubMonitorStarted = true;
+            this.discovery.on('hubFound', (hubInfo) => this.handleHubAnnouncement(hubInfo));
+            this.discovery.on('hubUpdated', (hubInfo) => this.handleHubAnnouncement(hubInfo));
+        }
+
+        this.discovery.startContinuousDiscovery();
+    }
+
+    /**
+     * Handle a hub broadcast seen by continuous discovery
+     * @param {Object} hubInfo - Hub info from SmartikaDiscovery
+     */
+    handleHubAnnouncement(hubInfo) {
+        for (const entry of this.hubs) {
+            const hub = entry.connection;
+            if (!hub || !hub.hubId || !hubInfo.macBuffer.equals(hub.hubId)) {
+                continue;
+            }
+
+            if (hubInfo.ip !== hub.host) {
+                this.log.info(`${this.hubLabel(entry)}Hub ${hubInfo.hubId} is now at ${hubInfo.ip}`);
+                hub.setHost(hubInfo.ip);
+            }
+        }
+    }
+
+    /**
+     * Look for a hub elsewhere after repeated reconnect failures
+     * @param {Object} entry - Hub entry
+     * @param {number} attempts - Consecutive failed reconnect attempts
+     */
+    handleReconnectFailed(entry, attempts) {
+        const hub = entry.connection;
+        const threshold = this.config.rediscoveryAttempts ?? 3;
+        if (this.config.hubRediscovery === false || threshold <= 0 || attempts < threshold || !hub.hubId) {
+            return;
+        }
+
+        const label = this.hubLabel(entry);
+        const known = Array.from(this.discovery ? this.discovery.foundHubs.values() : [])
+            .find(hubInfo => hubInfo.macBuffer.equals(hub.hubId));
+
+        if (known && known.ip !== hub.host) {
+            this.log.info(`${label}Hub unreachable after ${attempts} attempts - switching to last broadcast address ${known.ip}`);
+            hub.setHost(known.ip);
+            return;
+        }
+
+        if (attempts === threshold) {
+            this.log.warn(`${label}Hub unreachable at ${hub.host} after ${attempts} attempts - waiting for its broadcast to find a new address`);
+        }
+
+        // Listener may have stopped after a socket error; make sure it runs
+        this.startHubMonitor();
+    }
+
+    /**
+     * Log prefix identifying a hub when several are configured
+     * @param {Object} entry - Hub entry
+     * @returns {string}
+     */
+    hubLabel(entry) {
+        return this.hubs.length > 1 ? `[${entry.name}] ` : '';
+    }
+
+    /**
+     * Generate the accessory UUID for a device or group on a hub
+     * @param {Object} entry - Hub entry
+     * @param {string} key - Device short address, or `group-${groupId}`
+     * @returns {string}
+     */
+    accessoryUUID(entry, key) {
+        if (!entry.namespaced) {
+            return this.api.hap.uuid.generate(`smartika-${key}`);
+        }
+        const hubId = entry.connection.hubId.toString('hex').toUpperCase();
+        return this.api.hap.uuid.generate(`smartika-${hubId}-${key}`);
+    }
+
+    /**
+     * Discover devices from a hub and register them as accessories
+     * @param {Object} entry - Hub entry
+     */
+    async discoverDevices(entry) {
+        const hub = entry.connection;
+        const label = this.hubLabel(entry);
+        const hubId = hub.hubId.toString('hex').toUpperCase();
+
         try {
-            this.log.info('Discovering devices...');
+            this.log.info(`${label}Discovering devices...`);
 
             // Get registered devices from hub database
-            const devices = await this.hub.listDevices();
-            this.log.info(`Found ${devices.length} registered device(s)`);
+            const devices = await hub.listDevices();
+            this.log.info(`${label}Found ${devices.length} registered device(s)`);
 
             // Get groups and their members
-            const { groups, groupedDeviceIds } = await this.hub.getGroupsWithMembers();
+            const { groups, groupedDeviceIds } = await hub.getGroupsWithMembers();
             if (groups.length > 0) {
-                this.log.info(`Found ${groups.length} group(s) containing ${groupedDeviceIds.size} device(s)`);
+                this.log.info(`${label}Found ${groups.length} group(s) containing ${groupedDeviceIds.size} device(s)`);
             }
 
+            entry.groups = new Map(groups.map(group => [group.groupId, group.deviceIds]));
+
             // Track which accessories we found
             const foundUUIDs = new Set();
 
             // First, add groups as accessories (virtual devices)
-            for (const group of groups) {
-                const uuid = this.api.hap.uuid.generate(`smartika-group-${group.groupId}`);
-                foundUUIDs.add(uuid);
+            const typeIds = new Map(devices.map(device => [device.shortAddress, device.typeId]));
+
+            const exposedGroups = this.groupMode === GROUP_MODE.MEMBERS_ONLY ? [] : groups;
+
+            for (const group of exposedGroups) {
+                const typeName = `Group ${group.groupId.toString(16).toUpperCase()}`;
+                const category = this.getGroupCategory(group, typeIds, typeName, label);
 
                 // Create a virtual device object for the group
                 const groupDevice = {
                     shortAddress: group.groupId,
-                    deviceType: 0x40000001, // Virtual Light (most groups are lights)
-                    typeName: `Group ${group.groupId.toString(16).toUpperCase()}`,
-                    category: protocol.DEVICE_CATEGORY.LIGHT,
+                    deviceType: protocol.GROUP_DEVICE_TYPE[category],
+                    typeName,
+                    category,
                     isGroup: true,
                     memberCount: group.deviceIds.length,
                 };
 
+                const groupConfig = this.getDeviceConfig(groupDevice, entry);
+                if (groupConfig.hidden) {
+                    this.log.debug(`${label}Hiding group: ${groupDevice.typeName}`);
+                    continue;
+                }
+                const configuredGroup = this.applyDeviceConfig(groupDevice, entry, groupConfig);
+
+                const uuid = this.accessoryUUID(entry, `group-${group.groupId}`);
+                foundUUIDs.add(uuid);
+
                 const existingAccessory = this.accessories.get(uuid);
 
                 if (existingAccessory) {
-                    this.log.info(`Restoring cached group: ${groupDevice.typeName} (${group.deviceIds.length} members)`);
+                    this.log.info(`${label}Restoring cached group: ${groupDevice.typeName} (${group.deviceIds.length} members)`);
                     existingAccessory.context.device = groupDevice;
-                    this.setupAccessory(existingAccessory, groupDevice);
+                    existingAccessory.context.hubId = hubId;
+                    this.setupAccessory(existingAccessory, configuredGroup, entry);
                 } else {
-                    this.log.info(`Adding new group: ${groupDevice.typeName} (${group.deviceIds.length} members)`);
-                    this.addAccessory(groupDevice, uuid);
+                    this.log.info(`${label}Adding new group: ${groupDevice.typeName} (${group.deviceIds.length} members)`);
+                    this.addAccessory(groupDevice, configuredGroup, uuid, entry);
                 }
             }
 
@@ -214,13 +493,21 @@ class SmartikaPlatform {
                 }
 
                 // Skip devices that are part of a group - the group handles them
-                if (groupedDeviceIds.has(device.shortAddress)) {
+                if (groupedDeviceIds.has(device.shortAddress) && this.groupMode === GROUP_MODE.GROUP_ONLY) {
                     this.log.debug(`Skipping grouped device: ${device.typeName} (0x${device.shortAddress.toString(16)}) - controlled via group`);
                     continue;
                 }
 
+                // Skip devices hidden in the config (removes them if cached)
+                const deviceConfig = this.getDeviceConfig(device, entry);
+                if (deviceConfig.hidden) {
+                    this.log.debug(`${label}Hiding device: ${device.typeName} (0x${device.shortAddress.toString(16)})`);
+                    continue;
+                }
+                const configured = this.applyDeviceConfig(device, entry, deviceConfig);
+
                 // Generate unique identifier for this device
-                const uuid = this.api.hap.uuid.generate(`smartika-${device.shortAddress}`);
+                const uuid = this.accessoryUUID(entry, `${device.shortAddress}`);
                 foundUUIDs.add(uuid);
 
                 // Check if accessory already exists (from cache)
@@ -228,18 +515,25 @@ class SmartikaPlatform {
 
                 if (existingAccessory) {
                     // Update existing accessory
-                    this.log.info(`Restoring cached accessory: ${device.typeName} (0x${device.shortAddress.toString(16)})`);
+                    this.log.info(`${label}Restoring cached accessory: ${device.typeName} (0x${device.shortAddress.toString(16)})`);
                     existingAccessory.context.device = device;
-                    this.setupAccessory(existingAccessory, device);
+                    existingAccessory.context.hubId = hubId;
+                    this.setupAccessory(existingAccessory, configured, entry);
                 } else {
                     // Create new accessory
-                    this.log.info(`Adding new accessory: ${device.typeName} (0x${device.shortAddress.toString(16)})`);
-                    this.addAccessory(device, uuid);
+                    this.log.info(`${label}Adding new accessory: ${device.typeName} (0x${device.shortAddress.toString(16)})`);
+                    this.addAccessory(device, configured, uuid, entry);
                 }
             }
 
-            // Remove accessories that are no longer present
+            // Remove accessories that are no longer present on this hub.
+            // Accessories cached before multi-hub support have no hubId; they
+            // can only belong to the first hub, whose UUIDs they share.
             for (const [uuid, accessory] of this.accessories) {
+                const ownerId = accessory.context.hubId;
+                if (ownerId ? ownerId !== hubId : entry.namespaced) {
+                    continue;
+                }
                 if (!foundUUIDs.has(uuid)) {
                     this.log.info(`Removing stale accessory: ${accessory.displayName}`);
                     this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
@@ -249,19 +543,54 @@ class SmartikaPlatform {
             }
 
         } catch (error) {
-            this.log.error('Failed to discover devices:', error.message);
+            this.log.error(`${label}Failed to discover devices:`, error.message);
         }
     }
 
+    /**
+     * Pick the category for a group from its members' device types
+     * Groups mixing categories are exposed as on/off outlets, the only control
+     * all members understand; a `devices` entry for the group can change the type.
+     * @param {Object} group - Group info ({ groupId, deviceIds })
+     * @param {Map<number, number>} typeIds - Device type ID by short address
+     * @param {string} typeName - Group display name
+     * @param {string} label - Hub log prefix
+     * @returns {string} - Device category
+     */
+    getGroupCategory(group, typeIds, typeName, label) {
+        const memberTypeIds = group.deviceIds
+            .filter(id => typeIds.has(id))
+            .map(id => typeIds.get(id));
+        const { category, categories } = protocol.inferGroupCategory(memberTypeIds);
+
+        if (category) {
+            return category;
+        }
+
+        if (categories.length === 0) {
+            // Nothing known about the members - most groups are lights
+            this.log.debug(`${label}No known member types for ${typeName} - assuming lights`);
+            return protocol.DEVICE_CATEGORY.LIGHT;
+        }
+
+        this.log.warn(`${label}${typeName} mixes ${categories.join(', ')} devices - exposing it as an on/off outlet. ` +
+            `Set "type" for id "0x${group.groupId.toString(16).toUpperCase()}" in devices to choose another type.`);
+        return protocol.DEVICE_CATEGORY.PLUG;
+    }
+
     /**
      * Add a new accessory to Homebridge
      * @param {Object} device - Device info from hub
+     * @param {Object} configured - The device with its config overrides applied
      * @param {string} uuid - Unique identifier
+     * @param {Object} entry - Hub entry the device belongs to
      */
-    addAccessory(device, uuid) {
+    addAccessory(device, configured, uuid, entry) {
+        const { name, category: deviceCategory, serviceType } = configured;
+
         // Determine accessory category based on device type
         let category;
-        switch (device.category) {
+        switch (deviceCategory) {
             case protocol.DEVICE_CATEGORY.LIGHT:
                 category = this.api.hap.Categories.LIGHTBULB;
                 break;
@@ -275,18 +604,31 @@ class SmartikaPlatform {
                 category = this.api.hap.Categories.OTHER;
         }
 
+        // Plugs are categorized after the service they are shown as
+        if (serviceType) {
+            const { SERVICE_TYPE } = SmartikaPlugAccessory;
+            category = {
+                [SERVICE_TYPE.OUTLET]: this.api.hap.Categories.OUTLET,
+                [SERVICE_TYPE.SWITCH]: this.api.hap.Categories.SWITCH,
+                [SERVICE_TYPE.LIGHTBULB]: this.api.hap.Categories.LIGHTBULB,
+                [SERVICE_TYPE.FAN]: this.api.hap.Categories.FAN,
+                [SERVICE_TYPE.VALVE]: this.api.hap.Categories.FAUCET,
+            }[serviceType];
+        }
+
         // Create accessory
         const accessory = new this.api.platformAccessory(
-            device.typeName,
+            name,
             uuid,
             category,
         );
 
         // Store device info in context for persistence
         accessory.context.device = device;
+        accessory.context.hubId = entry.connection.hubId.toString('hex').toUpperCase();
 
         // Configure the accessory
-        this.setupAccessory(accessory, device);
+        this.setupAccessory(accessory, configured, entry);
 
         // Register the accessory
         this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
@@ -294,20 +636,50 @@ class SmartikaPlatform {
     }
 
     /**
-     * Handle device status updates from hub
+     * Handle device status updates from a hub
+     * @param {Object} entry - Hub entry that reported the status
      * @param {Array} devices - Array of device status objects
+     * @param {boolean} [fromHub] - False for state derived locally (not proof the devices are reachable)
      */
-    handleDeviceStatusUpdate(devices) {
-        this.log.debug(`Received status update for ${devices.length} device(s)`);
+    handleDeviceStatusUpdate(entry, devices, fromHub = true) {
+        this.log.debug(`${this.hubLabel(entry)}Received status update for ${devices.length} device(s)`);
+
+        // Devices the hub reported are reachable; others may have gone quiet
+        if (fromHub) {
+            const now = Date.now();
+            devices.forEach(status => entry.lastSeen.set(status.shortAddress, now));
+            this.updateReachability(entry);
+        }
+
+        // Groups whose members changed, refreshed once after all members
+        const changedGroups = new Set();
         
         for (const status of devices) {
+            // In "both" mode a group shows its members' state, not the hub's view of the group
+            if (this.groupMode === GROUP_MODE.BOTH && entry.groups.has(status.shortAddress)) {
+                continue;
+            }
+
+            entry.deviceStatus.set(status.shortAddress, {
+                ...entry.deviceStatus.get(status.shortAddress),
+                ...status,
+            });
+
+            if (this.groupMode === GROUP_MODE.BOTH) {
+                for (const [groupId, memberIds] of entry.groups) {
+                    if (memberIds.includes(status.shortAddress)) {
+                        changedGroups.add(groupId);
+                    }
+                }
+            }
+
             // Try to find handler for regular device
-            let uuid = this.api.hap.uuid.generate(`smartika-${status.shortAddress}`);
+            let uuid = this.accessoryUUID(entry, `${status.shortAddress}`);
             let handler = this.deviceHandlers.get(uuid);
 
             // If not found, try as a group (groups use 0xFFxx addresses)
             if (!handler && status.shortAddress >= 0xFF00) {
-                uuid = this.api.hap.uuid.generate(`smartika-group-${status.shortAddress}`);
+                uuid = this.accessoryUUID(entry, `group-${status.shortAddress}`);
                 handler = this.deviceHandlers.get(uuid);
             }
 
@@ -315,17 +687,149 @@ class SmartikaPlatform {
                 handler.updateStatus(status);
             }
         }
+
+        for (const groupId of changedGroups) {
+            const handler = this.deviceHandlers.get(this.accessoryUUID(entry, `group-${groupId}`));
+            const status = this.getGroupStatus(entry, groupId);
+            if (handler && status) {
+                handler.updateStatus(status);
+            }
+        }
+    }
+
+    /**
+     * Mark devices that stopped showing up in status updates as unreachable
+     * A device the hub no longer reports (e.g. a bulb switched off at the wall)
+     * shows "No Response" in HomeKit until it reports again. Groups are never
+     * marked: they have no state of their own to report.
+     * @param {Object} entry - Hub entry that reported the status
+     */
+    updateReachability(entry) {
+        const timeout = this.config.unreachableTimeout ?? 300000;
+        if (!timeout) {
+            return;
+        }
+
+        const now = Date.now();
+        for (const [uuid, handler] of this.deviceHandlers) {
+            const { device } = handler;
+            if (handler.hub !== entry.connection || device.isGroup) {
+                continue;
+            }
+
+            // The clock starts with the first update that leaves a device out
+            if (!entry.lastSeen.has(device.shortAddress)) {
+                entry.lastSeen.set(device.shortAddress, now);
+            }
+
+            const reachable = now - entry.lastSeen.get(device.shortAddress) < timeout;
+            if (reachable && this.unreachable.has(uuid)) {
+                this.unreachable.delete(uuid);
+                this.log.info(`${this.hubLabel(entry)}${device.name} is reporting again`);
+            } else if (!reachable && !this.unreachable.has(uuid)) {
+                this.unreachable.add(uuid);
+                this.log.warn(`${this.hubLabel(entry)}${device.name} has not reported for ${Math.round(timeout / 1000)}s - showing it as not responding`);
+            }
+        }
+    }
+
+    /**
+     * Fail a HomeKit read of an accessory whose device stopped reporting
+     * HomeKit shows the accessory as "No Response".
+     * @param {import('homebridge').PlatformAccessory} accessory
+     */
+    assertReachable(accessory) {
+        if (this.unreachable.has(accessory.UUID)) {
+            throw new this.api.hap.HapStatusError(this.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        }
+    }
+
+    /**
+     * Derive a group's state from the last known state of its members
+     * The group is on if any member is on; levels are averaged over the members
+     * that are on (or all members when none is).
+     * @param {Object} entry - Hub entry
+     * @param {number} groupId - Group short address
+     * @returns {Object|null} - Status object, or null if no member state is known yet
+     */
+    getGroupStatus(entry, groupId) {
+        const memberStatuses = (entry.groups.get(groupId) || [])
+            .map(id => entry.deviceStatus.get(id))
+            .filter(status => status && status.on !== undefined);
+
+        if (memberStatuses.length === 0) {
+            return null;
+        }
+
+        const on = memberStatuses.some(status => status.on);
+        const levelStatuses = on ? memberStatuses.filter(status => status.on) : memberStatuses;
+        const status = { shortAddress: groupId, on };
+
+        for (const key of ['brightness', 'temperature', 'speed']) {
+            const values = levelStatuses
+                .map(memberStatus => memberStatus[key])
+                .filter(value => value !== undefined);
+            if (values.length > 0) {
+                status[key] = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Get the members of a group with their last known state
+     * @param {import('./SmartikaHubConnection')} hub - Hub the group belongs to
+     * @param {number} groupId - Group short address
+     * @returns {Array<Object>} - Member statuses ({ shortAddress } only if not known yet)
+     */
+    getGroupMembers(hub, groupId) {
+        const entry = this.hubs.find(candidate => candidate.connection === hub);
+        const memberIds = (entry && entry.groups.get(groupId)) || [];
+        return memberIds.map(shortAddress => ({ shortAddress, ...entry.deviceStatus.get(shortAddress) }));
+    }
+
+    /**
+     * Show a change made through a group accessory on its member accessories
+     * Members are updated in a single pass from the written values; the first
+     * status poll after the poll-suppression window corrects any member that
+     * didn't follow.
+     * @param {import('./SmartikaHubConnection')} hub - Hub the group belongs to
+     * @param {Object} device - Device the change was sent to
+     * @param {Object} status - Changed state, in hub units (e.g. { brightness: 128 })
+     */
+    propagateGroupState(hub, device, status) {
+        if (this.groupMode !== GROUP_MODE.BOTH || !device.isGroup) {
+            return;
+        }
+
+        const entry = this.hubs.find(candidate => candidate.connection === hub);
+        const memberIds = entry && entry.groups.get(device.shortAddress);
+        if (!memberIds) {
+            return;
+        }
+
+        this.handleDeviceStatusUpdate(entry, memberIds.map(shortAddress => ({ shortAddress, ...status })), false);
+
+        // Members ignore polls of the written fields until the hub catches up
+        for (const shortAddress of memberIds) {
+            const handler = this.deviceHandlers.get(this.accessoryUUID(entry, `${shortAddress}`));
+            if (handler && handler.pending) {
+                handler.pending.hold(Object.keys(status));
+            }
+        }
     }
 
     /**
      * Setup an accessory with appropriate services and handlers
      * @param {import('homebridge').PlatformAccessory} accessory
-     * @param {Object} device - Device info
+     * @param {Object} device - Device info with its config overrides applied
+     * @param {Object} entry - Hub entry the device belongs to
      */
-    setupAccessory(accessory, device) {
+    setupAccessory(accessory, device, entry) {
         // Get device from context if not provided
-        if (!device) {
-            device = accessory.context.device;
+        if (!device && accessory.context.device) {
+            device = this.applyDeviceConfig(accessory.context.device, entry);
         }
 
         if (!device) {
@@ -333,6 +837,10 @@ class SmartikaPlatform {
             return;
         }
 
+        if (accessory.displayName !== device.name) {
+            accessory.updateDisplayName(device.name);
+        }
+
         // Set up AccessoryInformation service
         const infoService = accessory.getService(this.api.hap.Service.AccessoryInformation) ||
             accessory.addService(this.api.hap.Service.AccessoryInformation);
@@ -342,29 +850,253 @@ class SmartikaPlatform {
             .setCharacteristic(this.api.hap.Characteristic.Model, device.typeName)
             .setCharacteristic(this.api.hap.Characteristic.SerialNumber, device.macAddress || `0x${device.shortAddress.toString(16)}`);
 
+        // The accessory is set up again on every discovery: retire its old handler
+        const previous = this.deviceHandlers.get(accessory.UUID);
+        if (previous && previous.dispose) {
+            previous.dispose();
+        }
+
         // Create appropriate handler based on device category
+        // (plugs stay on/off-only whatever service they are shown as)
         let handler;
-        switch (device.category) {
+        switch (device.serviceType ? protocol.DEVICE_CATEGORY.PLUG : device.category) {
             case protocol.DEVICE_CATEGORY.LIGHT:
-                handler = new SmartikaLightAccessory(this, accessory, device);
+                handler = new SmartikaLightAccessory(this, accessory, device, entry.connection);
                 break;
             case protocol.DEVICE_CATEGORY.FAN:
-                handler = new SmartikaFanAccessory(this, accessory, device);
+                handler = new SmartikaFanAccessory(this, accessory, device, entry.connection);
                 break;
             case protocol.DEVICE_CATEGORY.PLUG:
-                handler = new SmartikaPlugAccessory(this, accessory, device);
+                handler = new SmartikaPlugAccessory(this, accessory, device, entry.connection);
                 break;
             default:
                 this.log.warn(`Unknown device category: ${device.category} for ${device.typeName}`);
                 return;
         }
 
+        // Drop services left over from before a type override changed
+        const handlerServices = handler.services || [handler.service];
+        const staleServices = accessory.services.filter(service =>
+            service.UUID !== this.api.hap.Service.AccessoryInformation.UUID && !handlerServices.includes(service));
+        if (staleServices.length > 0) {
+            staleServices.forEach(service => accessory.removeService(service));
+            this.log.debug(`Removed ${staleServices.length} stale service(s) from ${device.name}`);
+
+            // Persist the change so the cache doesn't restore them
+            if (this.accessories.has(accessory.UUID)) {
+                this.api.updatePlatformAccessories([accessory]);
+            }
+        }
+
+        // Blink the device when it's identified in the Home app. The listener
+        // finds the current handler, so it is registered only once.
+        if (accessory.listenerCount('identify') === 0) {
+            accessory.on('identify', () => {
+                const current = this.deviceHandlers.get(accessory.UUID);
+                if (current && current.identify) {
+                    current.identify();
+                }
+            });
+        }
+
         // Store handler reference
         const uuid = accessory.UUID;
         this.deviceHandlers.set(uuid, handler);
         this.accessories.set(uuid, accessory);
     }
 
+    /**
+     * Find the `devices` config entry for a device
+     * Entries match on `id`, either the short address (`"0x1A2B"` or a number)
+     * or the 16 hex digit MAC address, and optionally on `hubId`.
+     * @param {Object} device - Device info from hub
+     * @param {Object} entry - Hub entry the device belongs to
+     * @returns {Object} - Device config, empty if none matches
+     */
+    getDeviceConfig(device, entry) {
+        const deviceConfigs = Array.isArray(this.config.devices) ? this.config.devices : [];
+        const connectedHubId = entry.connection && entry.connection.hubId
+            ? entry.connection.hubId.toString('hex').toUpperCase()
+            : null;
+
+        const deviceConfig = deviceConfigs.find((candidate) => {
+            if (candidate.id === undefined || candidate.id === null || candidate.id === '') {
+                return false;
+            }
+
+            if (candidate.hubId && connectedHubId) {
+                const hubId = SmartikaDiscovery.normalizeHubId(candidate.hubId);
+                if (!hubId || !SmartikaDiscovery.matchesHubId({ hubId: connectedHubId }, hubId)) {
+                    return false;
+                }
+            }
+
+            if (typeof candidate.id === 'number') {
+                return candidate.id === device.shortAddress;
+            }
+
+            const id = String(candidate.id).trim();
+            const mac = id.replace(/[:-]/g, '').toUpperCase();
+            if (/^[0-9A-F]{16}$/.test(mac)) {
+                return mac === device.macAddress;
+            }
+            if (/^0x[0-9a-f]{1,4}$/i.test(id)) {
+                return parseInt(id, 16) === device.shortAddress;
+            }
+            if (/^\d+$/.test(id)) {
+                return parseInt(id, 10) === device.shortAddress;
+            }
+            return false;
+        });
+
+        return deviceConfig || {};
+    }
+
+    /**
+     * Apply `devices` config overrides to a device
+     * HomeKit rooms can't be assigned by a bridge, so `room` only prefixes the name.
+     * @param {Object} device - Device info from hub
+     * @param {Object} entry - Hub entry the device belongs to
+     * @param {Object} [deviceConfig] - Config entry already found for the device
+     * @returns {Object} - Copy of the device with `name`, `category`, `colorTemperature`,
+     *   `calibration` and `transitionDuration` resolved
+     */
+    applyDeviceConfig(device, entry, deviceConfig = this.getDeviceConfig(device, entry)) {
+
+        let name = deviceConfig.name || device.typeName;
+        if (!deviceConfig.name && deviceConfig.room) {
+            name = `${deviceConfig.room} ${device.typeName}`;
+        }
+
+        let category = device.category;
+        if (deviceConfig.type) {
+            const { LIGHT, FAN, PLUG } = protocol.DEVICE_CATEGORY;
+            if ([LIGHT, FAN, PLUG].includes(deviceConfig.type)) {
+                category = deviceConfig.type;
+            } else {
+                this.log.warn(`Ignoring unknown type "${deviceConfig.type}" for ${name}`);
+            }
+        }
+
+        let calibration = protocol.getTemperatureCalibration({
+            minKelvin: deviceConfig.minKelvin,
+            maxKelvin: deviceConfig.maxKelvin,
+            curve: deviceConfig.temperatureCurve,
+        });
+        if (calibration.minKelvin >= calibration.maxKelvin) {
+            this.log.warn(`Ignoring color temperature range ${calibration.minKelvin}K-${calibration.maxKelvin}K for ${name} - minKelvin must be below maxKelvin`);
+            calibration = protocol.getTemperatureCalibration();
+        }
+
+        return {
+            ...device,
+            name,
+            category,
+            nativeCategory: device.category,
+            colorTemperature: deviceConfig.colorTemperature !== false,
+            calibration,
+            transitionDuration: deviceConfig.transitionDuration ?? this.config.transitionDuration ?? 0,
+            onLevel: this.getOnLevel(deviceConfig, name),
+            serviceType: this.getPlugServiceType(device.category, category, deviceConfig, name),
+            speedSteps: deviceConfig.speedSteps || 0,
+            onSpeed: deviceConfig.onSpeed,
+        };
+    }
+
+    /**
+     * Resolve the HomeKit service a plug is shown as
+     * `serviceType` wins; otherwise a `type` override picks the matching
+     * service (a plug shown as a light gets an on/off Lightbulb).
+     * @param {string} nativeCategory - Category reported by the hub
+     * @param {string} category - Category after the `type` override
+     * @param {Object} deviceConfig - Entry from config.devices (or {})
+     * @param {string} name - Device name, for warnings
+     * @returns {string|undefined} - SmartikaPlugAccessory.SERVICE_TYPE value, or undefined for non-plugs
+     */
+    getPlugServiceType(nativeCategory, category, deviceConfig, name) {
+        const { LIGHT, FAN, PLUG } = protocol.DEVICE_CATEGORY;
+        const { SERVICE_TYPE } = SmartikaPlugAccessory;
+
+        if (nativeCategory !== PLUG && category !== PLUG) {
+            if (deviceConfig.serviceType) {
+                this.log.warn(`Ignoring serviceType for ${name} - only plugs support it`);
+            }
+            return undefined;
+        }
+
+        if (deviceConfig.serviceType) {
+            if (Object.values(SERVICE_TYPE).includes(deviceConfig.serviceType)) {
+                return deviceConfig.serviceType;
+            }
+            this.log.warn(`Ignoring unknown serviceType "${deviceConfig.serviceType}" for ${name}`);
+        }
+
+        switch (category) {
+            case LIGHT:
+                return SERVICE_TYPE.LIGHTBULB;
+            case FAN:
+                return SERVICE_TYPE.FAN;
+            default:
+                return SERVICE_TYPE.OUTLET;
+        }
+    }
+
+    /**
+     * Parse the time-of-day on levels
+     * @param {Array<{time: string, brightness: number}>} [schedule] - "HH:MM" times with a brightness (%)
+     * @returns {Array<{minutes: number, brightness: number}>} - Valid entries sorted by time of day
+     */
+    parseOnSchedule(schedule) {
+        return (schedule || [])
+            .filter((item) => {
+                const match = /^(\d{1,2}):(\d{2})$/.exec(item.time || '');
+                const valid = match && Number(match[1]) < 24 && Number(match[2]) < 60 &&
+                    item.brightness >= 1 && item.brightness <= 100;
+                if (!valid) {
+                    this.log.warn(`Ignoring onSchedule entry ${JSON.stringify(item)} - expected { "time": "HH:MM", "brightness": 1-100 }`);
+                }
+                return valid;
+            })
+            .map((item) => {
+                const [hours, minutes] = item.time.split(':').map(Number);
+                return { minutes: hours * 60 + minutes, brightness: item.brightness };
+            })
+            .sort((a, b) => a.minutes - b.minutes);
+    }
+
+    /**
+     * Resolve the brightness a light turns on at
+     * @param {Object} deviceConfig - Entry from config.devices (or {})
+     * @param {string} name - Device name, for warnings
+     * @returns {Object|null} - { brightness } for a fixed level, { schedule } for
+     *   time-of-day levels, or null to restore the last brightness
+     */
+    getOnLevel(deviceConfig, name) {
+        const mode = deviceConfig.onLevel || this.config.onLevel || ON_LEVEL.LAST;
+
+        switch (mode) {
+            case ON_LEVEL.LAST:
+                return null;
+            case ON_LEVEL.FIXED: {
+                const brightness = deviceConfig.onBrightness ?? this.config.onBrightness;
+                if (brightness >= 1 && brightness <= 100) {
+                    return { brightness };
+                }
+                this.log.warn(`${name}: onLevel "fixed" needs an onBrightness of 1-100 - restoring the last brightness instead`);
+                return null;
+            }
+            case ON_LEVEL.SCHEDULE:
+                if (this.onSchedule.length > 0) {
+                    return { schedule: this.onSchedule };
+                }
+                this.log.warn(`${name}: onLevel "schedule" needs an onSchedule - restoring the last brightness instead`);
+                return null;
+            default:
+                this.log.warn(`${name}: unknown onLevel "${mode}" - restoring the last brightness instead`);
+                return null;
+        }
+    }
+
     /**
      * REQUIRED - Called by Homebridge for each cached accessory on startup
      * @param {import('homebridge').PlatformAccessory} accessory
@@ -120,6 +120,40 @@ const DEVICE_TYPE_CATEGORY = {
     0x80000008: DEVICE_CATEGORY.REMOTE, // Programmable Remote
 };
 
+// Virtual device type the hub uses for a group of each category
+const GROUP_DEVICE_TYPE = {
+    [DEVICE_CATEGORY.LIGHT]: 0x40000001, // Virtual Light
+    [DEVICE_CATEGORY.FAN]: 0x40000003,   // Virtual Fan
+    [DEVICE_CATEGORY.PLUG]: 0x40000004,  // Virtual Plug
+};
+
+// Color temperature range of a light, in Kelvin. The 0-255 value sent to the
+// device runs from minKelvin (0, warm) to maxKelvin (255, cool), linear in
+// mireds unless `curve` gives measured points ({ value, kelvin }) in between.
+// No model has been measured yet, so all of them start from this range.
+const DEFAULT_TEMPERATURE_CALIBRATION = { minKelvin: 2000, maxKelvin: 7142 };
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Thrown when a response carries a different command ID than the request it
+ * was matched against (e.g. a late PING reply read as a DEVICE_STATUS response)
+ */
+class UnexpectedResponseError extends Error {
+    /**
+     * @param {number} expectedCmdId - Command ID of the request
+     * @param {number} actualCmdId - Command ID found in the response
+     */
+    constructor(expectedCmdId, actualCmdId) {
+        super(`Unexpected command ID: 0x${actualCmdId.toString(16)} (expected 0x${expectedCmdId.toString(16)})`);
+        this.name = 'UnexpectedResponseError';
+        this.expectedCmdId = expectedCmdId;
+        this.actualCmdId = actualCmdId;
+    }
+}
+
 // ============================================================================
 // Core Protocol Functions
 // ============================================================================
@@ -231,7 +265,7 @@ function createGatewayIdRequest() {
 function parseGatewayIdResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.GATEWAY_ID) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GATEWAY_ID, cmdId);
     }
 
     // Response format: "artika" (6 bytes) + hub_id (6 bytes) = 12 bytes
@@ -265,7 +299,7 @@ function createPingRequest() {
 function parsePingResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.PING) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.PING, cmdId);
     }
     return {
         alarmSet: data.length > 0 && data[0] !== 0,
@@ -291,7 +325,7 @@ function createCredentialsRequest(hubId) {
 function parseCredentialsResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.CREDENTIALS) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.CREDENTIALS, cmdId);
     }
     return data.length === 0 || data[0] !== 0;
 }
@@ -315,7 +349,7 @@ function createJoinEnableRequest(duration = 0) {
 function parseJoinEnableResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.JOIN_ENABLE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.JOIN_ENABLE, cmdId);
     }
     return {
         duration: data.length > 0 ? data.readUInt8(0) : 0,
@@ -346,7 +380,7 @@ function createFirmwareVersionRequest() {
 function parseFirmwareVersionResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.FIRMWARE_VERSION) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.FIRMWARE_VERSION, cmdId);
     }
     if (data.length < 3) {
         throw new Error('Firmware version response too short');
@@ -382,7 +416,7 @@ function createDeviceDiscoveryRequest() {
 function parseDeviceDiscoveryResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DEVICE_DISCOVERY) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DEVICE_DISCOVERY, cmdId);
     }
 
     const devices = [];
@@ -428,7 +462,7 @@ function createDeviceStatusRequest(deviceIds = [DEVICE_ID_BROADCAST]) {
 function parseDeviceStatusResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DEVICE_STATUS) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DEVICE_STATUS, cmdId);
     }
 
     const devices = [];
@@ -456,6 +490,8 @@ function parseDeviceStatusResponse(packet) {
         } else if (category === DEVICE_CATEGORY.FAN && stateLen >= 2) {
             device.on = stateData[0] !== 0;
             device.speed = stateData[1]; // 0-255
+            // Any further bytes (e.g. a light kit) are left undecoded until
+            // their layout is confirmed from hub traffic
         } else if (category === DEVICE_CATEGORY.PLUG && stateLen >= 1) {
             device.on = stateData[0] !== 0;
         } else {
@@ -493,7 +529,7 @@ function createDeviceSwitchRequest(on, deviceIds) {
 function parseDeviceSwitchResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DEVICE_SWITCH) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DEVICE_SWITCH, cmdId);
     }
 
     const deviceIds = [];
@@ -527,7 +563,7 @@ function createLightDimRequest(brightness, deviceIds) {
 function parseLightDimResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.LIGHT_DIM) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.LIGHT_DIM, cmdId);
     }
 
     const deviceIds = [];
@@ -561,7 +597,7 @@ function createLightTemperatureRequest(temperature, deviceIds) {
 function parseLightTemperatureResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.LIGHT_TEMPERATURE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.LIGHT_TEMPERATURE, cmdId);
     }
 
     const deviceIds = [];
@@ -586,6 +622,24 @@ function createFanControlRequest(speed, deviceIds) {
     return createPacket(CMD.FAN_CONTROL, data, deviceIds.length, true);
 }
 
+/**
+ * Parse fan control response
+ * @param {Buffer} packet
+ * @returns {Object} - { deviceIds }
+ */
+function parseFanControlResponse(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId !== CMD.FAN_CONTROL) {
+        throw new UnexpectedResponseError(CMD.FAN_CONTROL, cmdId);
+    }
+
+    const deviceIds = [];
+    for (let i = 0; i < listLen; i++) {
+        deviceIds.push(data.readUInt16BE(i * 2));
+    }
+    return { deviceIds };
+}
+
 /**
  * Create light dim batch request (different brightness per device)
  * @param {Array<{deviceId: number, brightness: number}>} devices
@@ -601,6 +655,24 @@ function createLightDimBatchRequest(devices) {
     return createPacket(CMD.LIGHT_DIM_BATCH, data, devices.length, true);
 }
 
+/**
+ * Parse light dim batch response
+ * @param {Buffer} packet
+ * @returns {Object} - { deviceIds }
+ */
+function parseLightDimBatchResponse(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId !== CMD.LIGHT_DIM_BATCH) {
+        throw new UnexpectedResponseError(CMD.LIGHT_DIM_BATCH, cmdId);
+    }
+
+    const deviceIds = [];
+    for (let i = 0; i < listLen && (i + 1) * 2 <= data.length; i++) {
+        deviceIds.push(data.readUInt16BE(i * 2));
+    }
+    return { deviceIds };
+}
+
 /**
  * Create light temperature batch request (different temperature per device)
  * @param {Array<{deviceId: number, temperature: number}>} devices
@@ -616,6 +688,174 @@ function createLightTemperatureBatchRequest(devices) {
     return createPacket(CMD.LIGHT_TEMPERATURE_BATCH, data, devices.length, true);
 }
 
+/**
+ * Parse light temperature batch response
+ * @param {Buffer} packet
+ * @returns {Object} - { deviceIds }
+ */
+function parseLightTemperatureBatchResponse(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId !== CMD.LIGHT_TEMPERATURE_BATCH) {
+        throw new UnexpectedResponseError(CMD.LIGHT_TEMPERATURE_BATCH, cmdId);
+    }
+
+    const deviceIds = [];
+    for (let i = 0; i < listLen && (i + 1) * 2 <= data.length; i++) {
+        deviceIds.push(data.readUInt16BE(i * 2));
+    }
+    return { deviceIds };
+}
+
+// ============================================================================
+// Identify
+// ============================================================================
+
+// Time each identify step is held before the next, by category (ms)
+const IDENTIFY_STEP_DELAY = {
+    [DEVICE_CATEGORY.LIGHT]: 500,
+    [DEVICE_CATEGORY.FAN]: 2000,
+    [DEVICE_CATEGORY.PLUG]: 1000,
+};
+
+// Blinks (or dim pulses) a light shows when identified
+const IDENTIFY_BLINKS = 3;
+
+/**
+ * Create the requests that make a device identify itself
+ * Lights blink (or dim-pulse when on) a few times, fans bump their speed and
+ * plugs toggle twice. The last request restores the state passed in.
+ * @param {Object} device - Device status ({ shortAddress, category, on, brightness, speed })
+ * @returns {Array<{request: Buffer, delay: number}>} - Requests, each with the time to wait after it (ms)
+ */
+function createIdentifySequence(device) {
+    const deviceIds = [device.shortAddress];
+    const power = on => createDeviceSwitchRequest(on, deviceIds);
+    const requests = [];
+
+    switch (device.category) {
+        case DEVICE_CATEGORY.LIGHT:
+            for (let i = 0; i < IDENTIFY_BLINKS; i++) {
+                if (device.on && device.brightness !== undefined) {
+                    // Pulse to the far end of the range and back
+                    requests.push(
+                        createLightDimRequest(device.brightness > 127 ? 25 : 255, deviceIds),
+                        createLightDimRequest(device.brightness, deviceIds),
+                    );
+                } else {
+                    requests.push(power(!device.on), power(!!device.on));
+                }
+            }
+            break;
+        case DEVICE_CATEGORY.FAN:
+            if (device.on && device.speed !== undefined) {
+                requests.push(
+                    createFanControlRequest(device.speed > 127 ? 64 : 255, deviceIds),
+                    createFanControlRequest(device.speed, deviceIds),
+                );
+            } else {
+                requests.push(power(!device.on), power(!!device.on));
+            }
+            break;
+        case DEVICE_CATEGORY.PLUG:
+            requests.push(power(!device.on), power(!!device.on));
+            break;
+        default:
+            throw new Error(`Cannot identify ${device.category} devices`);
+    }
+
+    const delay = IDENTIFY_STEP_DELAY[device.category];
+    return requests.map((request, index) => ({
+        request,
+        delay: index < requests.length - 1 ? delay : 0,
+    }));
+}
+
+// ============================================================================
+// Unsolicited Events
+// ============================================================================
+
+// Commands the hub may push without a request when a device changes state
+// (wall remote, Artika app, ...)
+const PUSH_COMMANDS = [CMD.DEVICE_STATUS, CMD.DEVICE_SWITCH, CMD.LIGHT_DIM];
+
+/**
+ * Parse a pushed device switch event
+ * Same layout as the request: on(1) + device_ids (2 bytes each)
+ * @param {Buffer} packet
+ * @returns {Array} - List of { shortAddress, on }
+ */
+function parseDeviceSwitchEvent(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId !== CMD.DEVICE_SWITCH) {
+        throw new UnexpectedResponseError(CMD.DEVICE_SWITCH, cmdId);
+    }
+
+    const on = data.length > 0 && data[0] !== 0;
+    const devices = [];
+    for (let i = 0; i < listLen && 1 + (i + 1) * 2 <= data.length; i++) {
+        devices.push({ shortAddress: data.readUInt16BE(1 + i * 2), on });
+    }
+    return devices;
+}
+
+/**
+ * Parse a pushed light dim event
+ * Same layout as the request: brightness(1) + device_ids (2 bytes each)
+ * @param {Buffer} packet
+ * @returns {Array} - List of { shortAddress, brightness }
+ */
+function parseLightDimEvent(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId !== CMD.LIGHT_DIM) {
+        throw new UnexpectedResponseError(CMD.LIGHT_DIM, cmdId);
+    }
+
+    const brightness = data.length > 0 ? data[0] : 0;
+    const devices = [];
+    for (let i = 0; i < listLen && 1 + (i + 1) * 2 <= data.length; i++) {
+        devices.push({ shortAddress: data.readUInt16BE(1 + i * 2), brightness });
+    }
+    return devices;
+}
+
+/**
+ * Check whether a frame is a pushed state change rather than a reply
+ * Replies to switch and dim requests only list the device IDs; the pushed
+ * events carry the new value first. Status replies and pushes share a layout.
+ * @param {Buffer} packet
+ * @returns {boolean}
+ */
+function isStatusEvent(packet) {
+    const { cmdId, listLen, data } = parsePacket(packet);
+    if (cmdId === CMD.DEVICE_STATUS) {
+        return true;
+    }
+    if (cmdId === CMD.DEVICE_SWITCH || cmdId === CMD.LIGHT_DIM) {
+        return data.length === 1 + listLen * 2;
+    }
+    return false;
+}
+
+/**
+ * Parse any pushed state change into device status objects
+ * Switch and dim events only carry the fields they change.
+ * @param {Buffer} packet
+ * @returns {Array} - List of (partial) device statuses
+ */
+function parseStatusEvent(packet) {
+    const { cmdId } = parsePacket(packet);
+    switch (cmdId) {
+        case CMD.DEVICE_STATUS:
+            return parseDeviceStatusResponse(packet);
+        case CMD.DEVICE_SWITCH:
+            return parseDeviceSwitchEvent(packet);
+        case CMD.LIGHT_DIM:
+            return parseLightDimEvent(packet);
+        default:
+            throw new Error(`Not a status event: 0x${cmdId.toString(16)}`);
+    }
+}
+
 // ============================================================================
 // Database Commands
 // ============================================================================
@@ -636,7 +876,7 @@ function createDbListDeviceRequest() {
 function parseDbListDeviceResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DB_LIST_DEVICE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DB_LIST_DEVICE, cmdId);
     }
 
     const deviceIds = [];
@@ -662,7 +902,7 @@ function createDbListDeviceFullRequest() {
 function parseDbListDeviceFullResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DB_LIST_DEVICE_FULL) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DB_LIST_DEVICE_FULL, cmdId);
     }
 
     const devices = [];
@@ -708,7 +948,7 @@ function createDbAddDeviceRequest(deviceIds) {
 function parseDbAddDeviceResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DB_ADD_DEVICE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DB_ADD_DEVICE, cmdId);
     }
 
     const errorIds = [];
@@ -739,7 +979,7 @@ function createDbRemoveDeviceRequest(deviceIds) {
 function parseDbRemoveDeviceResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.DB_REMOVE_DEVICE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.DB_REMOVE_DEVICE, cmdId);
     }
 
     const errorIds = [];
@@ -769,7 +1009,7 @@ function createGroupListRequest() {
 function parseGroupListResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.GROUP_LIST) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GROUP_LIST, cmdId);
     }
 
     const groupIds = [];
@@ -800,7 +1040,7 @@ function createGroupCreateRequest(deviceIds) {
 function parseGroupCreateResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.GROUP_CREATE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GROUP_CREATE, cmdId);
     }
     return {
         groupId: data.readUInt16BE(0),
@@ -831,7 +1071,7 @@ function createGroupUpdateRequest(groupId, deviceIds) {
 function parseGroupUpdateResponse(packet) {
     const { cmdId, data } = parsePacket(packet);
     if (cmdId !== CMD.GROUP_UPDATE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GROUP_UPDATE, cmdId);
     }
     return {
         groupId: data.readUInt16BE(0),
@@ -858,7 +1098,7 @@ function createGroupReadRequest(groupId) {
 function parseGroupReadResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.GROUP_READ) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GROUP_READ, cmdId);
     }
 
     const groupId = data.readUInt16BE(0);
@@ -894,7 +1134,7 @@ function createGroupDeleteRequest(groupIds) {
 function parseGroupDeleteResponse(packet) {
     const { cmdId, listLen, data } = parsePacket(packet);
     if (cmdId !== CMD.GROUP_DELETE) {
-        throw new Error(`Unexpected command ID: 0x${cmdId.toString(16)}`);
+        throw new UnexpectedResponseError(CMD.GROUP_DELETE, cmdId);
     }
 
     const errorIds = [];
@@ -904,6 +1144,100 @@ function parseGroupDeleteResponse(packet) {
     return { errorIds };
 }
 
+/**
+ * Infer a group's category from the device types of its members
+ * Members of unknown type and remotes are ignored.
+ * @param {number[]} memberTypeIds - Device type IDs of the group members
+ * @returns {Object} - { category, categories } - category is null if the
+ *   members are of several categories (or none is known)
+ */
+function inferGroupCategory(memberTypeIds) {
+    const categories = [];
+    for (const typeId of memberTypeIds) {
+        const category = DEVICE_TYPE_CATEGORY[typeId];
+        if (category && category !== DEVICE_CATEGORY.REMOTE && !categories.includes(category)) {
+            categories.push(category);
+        }
+    }
+
+    return {
+        category: categories.length === 1 ? categories[0] : null,
+        categories,
+    };
+}
+
+// ============================================================================
+// Color Temperature
+// ============================================================================
+
+/**
+ * Get the color temperature calibration of a light
+ * @param {Object} [overrides] - { minKelvin, maxKelvin, curve } from the user config
+ * @returns {Object} - { minKelvin, maxKelvin, curve }
+ */
+function getTemperatureCalibration(overrides = {}) {
+    return {
+        minKelvin: overrides.minKelvin || DEFAULT_TEMPERATURE_CALIBRATION.minKelvin,
+        maxKelvin: overrides.maxKelvin || DEFAULT_TEMPERATURE_CALIBRATION.maxKelvin,
+        curve: overrides.curve || [],
+    };
+}
+
+/**
+ * Calibration as [value, mireds] points sorted by value, from 0 to 255
+ * @param {Object} calibration
+ * @returns {Array<number[]>}
+ */
+function calibrationPoints(calibration) {
+    const points = calibration.curve
+        .filter(point => point.value > 0 && point.value < 255 && point.kelvin > 0)
+        .map(point => [point.value, 1e6 / point.kelvin]);
+
+    points.push([0, 1e6 / calibration.minKelvin], [255, 1e6 / calibration.maxKelvin]);
+    return points.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Convert a Smartika temperature value to mireds
+ * @param {number} value - Temperature (0=warm, 255=cool)
+ * @param {Object} calibration - From getTemperatureCalibration()
+ * @returns {number} - Mireds (not rounded)
+ */
+function temperatureToMireds(value, calibration) {
+    const points = calibrationPoints(calibration);
+    for (let i = 0; i + 1 < points.length; i++) {
+        const [value0, mireds0] = points[i];
+        const [value1, mireds1] = points[i + 1];
+        if (value <= value1 || i + 2 === points.length) {
+            return mireds0 + (mireds1 - mireds0) * (value - value0) / (value1 - value0);
+        }
+    }
+    return points[0][1];
+}
+
+/**
+ * Convert mireds to a Smartika temperature value
+ * @param {number} mireds - Clamped to the calibrated range
+ * @param {Object} calibration - From getTemperatureCalibration()
+ * @returns {number} - Temperature (0=warm, 255=cool)
+ */
+function miredsToTemperature(mireds, calibration) {
+    const points = calibrationPoints(calibration);
+    const warmest = points[0][1];
+    const coolest = points[points.length - 1][1];
+    const clamped = Math.max(coolest, Math.min(warmest, mireds));
+
+    // Mireds fall as the value rises
+    for (let i = 0; i + 1 < points.length; i++) {
+        const [value0, mireds0] = points[i];
+        const [value1, mireds1] = points[i + 1];
+        if (clamped >= mireds1) {
+            return Math.round(value0 + (value1 - value0) * (mireds0 - clamped) / (mireds0 - mireds1));
+        }
+    }
+    return 255;
+}
+
 // ============================================================================
 // Exports
 // ============================================================================
@@ -914,12 +1248,17 @@ module.exports = {
     DEVICE_TYPES,
     DEVICE_CATEGORY,
     DEVICE_TYPE_CATEGORY,
+    GROUP_DEVICE_TYPE,
+    DEFAULT_TEMPERATURE_CALIBRATION,
     HUB_PORT,
     START_MARK_REQUEST,
     START_MARK_RESPONSE,
     END_MARK,
     DEVICE_ID_BROADCAST,
 
+    // Errors
+    UnexpectedResponseError,
+
     // Core
     computeChecksum,
     createPacket,
@@ -950,8 +1289,21 @@ module.exports = {
     createLightTemperatureRequest,
     parseLightTemperatureResponse,
     createFanControlRequest,
+    parseFanControlResponse,
     createLightDimBatchRequest,
+    parseLightDimBatchResponse,
     createLightTemperatureBatchRequest,
+    parseLightTemperatureBatchResponse,
+
+    // Identify
+    createIdentifySequence,
+
+    // Unsolicited events
+    PUSH_COMMANDS,
+    parseDeviceSwitchEvent,
+    parseLightDimEvent,
+    isStatusEvent,
+    parseStatusEvent,
 
     // Database commands
     createDbListDeviceRequest,
@@ -974,4 +1326,10 @@ module.exports = {
     parseGroupReadResponse,
     createGroupDeleteRequest,
     parseGroupDeleteResponse,
+    inferGroupCategory,
+
+    // Color temperature
+    getTemperatureCalibration,
+    temperatureToMireds,
+    miredsToTemperature,
 };
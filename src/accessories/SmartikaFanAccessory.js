@@ -1,28 +1,47 @@
 'use strict';
 
+const { DEVICE_CATEGORY } = require('../SmartikaProtocol');
+const SmartikaPendingState = require('../SmartikaPendingState');
+
 /**
  * Smartika Fan Accessory
- * 
+ *
  * Exposes Smartika ceiling fan devices to HomeKit with support for:
  * - On/Off control
- * - Rotation Speed
+ * - Rotation Speed, continuous or in a configured number of steps
+ * - Turning on at the last (or a configured) speed
+ * - Identify by a short speed bump
+ *
+ * Rotation direction isn't exposed: no hub command for it is known. Neither
+ * is an integrated light kit: its state bytes and commands are not decoded.
  */
 class SmartikaFanAccessory {
     /**
      * @param {import('../SmartikaPlatform')} platform
      * @param {import('homebridge').PlatformAccessory} accessory
      * @param {Object} device - Device info from hub
+     * @param {import('../SmartikaHubConnection')} hub - Connection to the hub the device is paired with
      */
-    constructor(platform, accessory, device) {
+    constructor(platform, accessory, device, hub) {
         this.platform = platform;
         this.accessory = accessory;
         this.device = device;
+        this.hub = hub;
         this.log = platform.log;
 
         // HAP references
         this.Service = platform.api.hap.Service;
         this.Characteristic = platform.api.hap.Characteristic;
 
+        // Writes whose polled values are ignored until the hub catches up
+        this.pending = new SmartikaPendingState(platform.config.pollSuppressionWindow, status => this.updateStatus(status));
+
+        // Discrete speeds of the fan (0 = continuous 1-100%)
+        this.speedSteps = device.speedSteps || 0;
+
+        // Last non-zero speed (%), restored when the fan turns on
+        this.lastSpeed = accessory.context.lastSpeed || 50;
+
         // Current state
         this.state = {
             active: false,
@@ -39,27 +58,28 @@ class SmartikaFanAccessory {
     configureService() {
         // Use Fanv2 for better HomeKit support
         this.service = this.accessory.getService(this.Service.Fanv2) ||
-            this.accessory.addService(this.Service.Fanv2, this.device.typeName);
+            this.accessory.addService(this.Service.Fanv2, this.device.name);
 
         // Set the service name
-        this.service.setCharacteristic(this.Characteristic.Name, this.device.typeName);
+        this.service.setCharacteristic(this.Characteristic.Name, this.device.name);
 
         // Configure Active characteristic (on/off)
         this.service.getCharacteristic(this.Characteristic.Active)
             .onGet(this.getActive.bind(this))
             .onSet(this.setActive.bind(this));
 
-        // Configure RotationSpeed characteristic
+        // Configure RotationSpeed characteristic (snapped to the fan's steps)
         this.service.getCharacteristic(this.Characteristic.RotationSpeed)
             .onGet(this.getRotationSpeed.bind(this))
             .onSet(this.setRotationSpeed.bind(this))
             .setProps({
                 minValue: 0,
                 maxValue: 100,
-                minStep: 1,
+                minStep: this.speedSteps ? 100 / this.speedSteps : 1,
             });
 
-        this.log.debug(`Configured fan accessory: ${this.device.typeName} (0x${this.device.shortAddress.toString(16)})`);
+        this.log.debug(`Configured fan accessory: ${this.device.name} (0x${this.device.shortAddress.toString(16)})` +
+            `${this.speedSteps ? ` with ${this.speedSteps} speeds` : ''}`);
     }
 
     /**
@@ -67,7 +87,8 @@ class SmartikaFanAccessory {
      * @returns {number} - 0 (INACTIVE) or 1 (ACTIVE)
      */
     getActive() {
-        this.log.debug(`GET Active for ${this.device.typeName}: ${this.state.active}`);
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET Active for ${this.device.name}: ${this.state.active}`);
         return this.state.active ? 1 : 0;
     }
 
@@ -77,31 +98,76 @@ class SmartikaFanAccessory {
      */
     async setActive(value) {
         const active = value === 1;
-        this.log.info(`SET Active for ${this.device.typeName}: ${active}`);
+        this.log.info(`SET Active for ${this.device.name}: ${active}`);
 
-        try {
-            await this.platform.hub.setDevicePower(active, [this.device.shortAddress]);
-            this.state.active = active;
+        // Home sends Active again alongside a speed change; don't reset the speed
+        if (active && this.state.active) {
+            this.log.debug(`Ignoring redundant Active for ${this.device.name}`);
+            return;
+        }
 
-            // If turning on and speed is 0, set a default speed
-            if (active && this.state.rotationSpeed === 0) {
-                this.state.rotationSpeed = 50;
-                this.service.updateCharacteristic(this.Characteristic.RotationSpeed, 50);
+        try {
+            if (active) {
+                await this.turnOn(this.snapSpeed(this.device.onSpeed || this.lastSpeed));
+                return;
             }
+
+            await this.pending.track({ on: this.state.active }, { on: false }, () => {
+                this.state.active = false;
+                return this.hub.setDevicePower(false, [this.device.shortAddress]);
+            });
+            this.platform.propagateGroupState(this.hub, this.device, { on: false });
         } catch (error) {
-            this.log.error(`Failed to set power for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set power for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
         }
     }
 
+    /**
+     * Turn the fan on at a speed
+     * The speed is sent before power, so the fan spins up straight to it.
+     * @param {number} speed - Speed percentage (1-100)
+     */
+    async turnOn(speed) {
+        const speed255 = this.toHubSpeed(speed);
+        const previous = { on: this.state.active, speed: this.toHubSpeed(this.state.rotationSpeed) };
+
+        await this.pending.track(previous, { on: true, speed: speed255 }, async () => {
+            const sendSpeed = speed !== this.state.rotationSpeed;
+            this.state.active = true;
+            this.state.rotationSpeed = speed;
+            this.service.updateCharacteristic(this.Characteristic.RotationSpeed, speed);
+
+            if (sendSpeed) {
+                await this.hub.setFanSpeed(speed255, [this.device.shortAddress]);
+            }
+            await this.hub.setDevicePower(true, [this.device.shortAddress]);
+        });
+
+        this.rememberSpeed(speed);
+        this.platform.propagateGroupState(this.hub, this.device, { on: true, speed: speed255 });
+    }
+
+    /**
+     * Remember a non-zero speed to restore when the fan turns on
+     * @param {number} speed - Speed percentage (0-100)
+     */
+    rememberSpeed(speed) {
+        if (speed > 0 && speed !== this.lastSpeed) {
+            this.lastSpeed = speed;
+            this.accessory.context.lastSpeed = speed;
+        }
+    }
+
     /**
      * Handle GET RotationSpeed
      * @returns {number} - Speed percentage (0-100)
      */
     getRotationSpeed() {
-        this.log.debug(`GET RotationSpeed for ${this.device.typeName}: ${this.state.rotationSpeed}%`);
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET RotationSpeed for ${this.device.name}: ${this.state.rotationSpeed}%`);
         return this.state.rotationSpeed;
     }
 
@@ -110,50 +176,99 @@ class SmartikaFanAccessory {
      * @param {number} value - Speed percentage (0-100)
      */
     async setRotationSpeed(value) {
-        this.log.info(`SET RotationSpeed for ${this.device.typeName}: ${value}%`);
+        value = this.snapSpeed(value);
+        this.log.info(`SET RotationSpeed for ${this.device.name}: ${Math.round(value)}%`);
 
         try {
-            // Convert 0-100% to 0-255
-            const speed255 = Math.round(value / 100 * 255);
-            await this.platform.hub.setFanSpeed(speed255, [this.device.shortAddress]);
-            this.state.rotationSpeed = value;
-
-            // Update active state based on speed
-            if (value > 0 && !this.state.active) {
-                this.state.active = true;
-                this.service.updateCharacteristic(this.Characteristic.Active, 1);
-            } else if (value === 0 && this.state.active) {
-                this.state.active = false;
-                this.service.updateCharacteristic(this.Characteristic.Active, 0);
-            }
+            const speed255 = this.toHubSpeed(value);
+            const previous = { on: this.state.active, speed: this.toHubSpeed(this.state.rotationSpeed) };
+            await this.pending.track(previous, { on: value > 0, speed: speed255 }, () => {
+                this.state.rotationSpeed = value;
+
+                // Update active state based on speed
+                if (value > 0 !== this.state.active) {
+                    this.state.active = value > 0;
+                    this.service.updateCharacteristic(this.Characteristic.Active, this.state.active ? 1 : 0);
+                }
+
+                return this.hub.setFanSpeed(speed255, [this.device.shortAddress]);
+            });
+            this.rememberSpeed(value);
+            this.platform.propagateGroupState(this.hub, this.device, { on: value > 0, speed: speed255 });
         } catch (error) {
-            this.log.error(`Failed to set fan speed for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set fan speed for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
         }
     }
 
+    /**
+     * Bump the fan's speed for a moment (or spin it up while off) so it can be found
+     */
+    async identify() {
+        this.log.info(`Identifying ${this.device.name}`);
+        this.pending.hold(['on', 'speed']);
+        try {
+            await this.hub.identifyDevice({
+                shortAddress: this.device.shortAddress,
+                category: DEVICE_CATEGORY.FAN,
+                on: this.state.active,
+                speed: this.toHubSpeed(this.state.rotationSpeed),
+            });
+        } catch (error) {
+            this.log.error(`Failed to identify ${this.device.name}:`, error.message);
+        }
+        this.pending.hold(['on', 'speed']);
+    }
+
+    /**
+     * Round a speed percentage to the nearest of the fan's steps
+     * A non-zero speed never rounds down to off.
+     * @param {number} percent - 0-100
+     * @returns {number}
+     */
+    snapSpeed(percent) {
+        if (!this.speedSteps) {
+            return percent;
+        }
+        const stepSize = 100 / this.speedSteps;
+        const step = Math.round(percent / stepSize);
+        return (percent > 0 ? Math.max(1, step) : 0) * stepSize;
+    }
+
+    /**
+     * Convert a speed percentage to the hub's 0-255 range
+     * @param {number} percent - 0-100
+     * @returns {number}
+     */
+    toHubSpeed(percent) {
+        return Math.round(percent / 100 * 255);
+    }
+
     /**
      * Update state from hub status
      * @param {Object} status - Status from hub
      */
     updateStatus(status) {
+        status = this.pending.filter(status);
+
         // Update Active state
         if (status.on !== undefined && status.on !== this.state.active) {
             this.state.active = status.on;
             this.service.updateCharacteristic(this.Characteristic.Active, status.on ? 1 : 0);
-            this.log.debug(`Updated ${this.device.typeName} Active: ${status.on}`);
+            this.log.debug(`Updated ${this.device.name} Active: ${status.on}`);
         }
 
         // Update RotationSpeed
         if (status.speed !== undefined) {
-            // Convert 0-255 to 0-100%
-            const speed = Math.round(status.speed / 255 * 100);
+            // Convert 0-255 to 0-100%, on the fan's steps
+            const speed = this.snapSpeed(Math.round(status.speed / 255 * 100));
             if (speed !== this.state.rotationSpeed) {
                 this.state.rotationSpeed = speed;
+                this.rememberSpeed(speed);
                 this.service.updateCharacteristic(this.Characteristic.RotationSpeed, speed);
-                this.log.debug(`Updated ${this.device.typeName} RotationSpeed: ${speed}%`);
+                this.log.debug(`Updated ${this.device.name} RotationSpeed: ${Math.round(speed)}%`);
             }
         }
     }
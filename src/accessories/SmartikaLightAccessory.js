@@ -1,29 +1,53 @@
 'use strict';
 
+const protocol = require('../SmartikaProtocol');
+const SmartikaPendingState = require('../SmartikaPendingState');
+
+// Interval between fade steps (ms)
+const FADE_STEP_INTERVAL = 200;
+
+// Level lights fade up from and down to when turned on or off with a transition
+const FADE_FLOOR = 1;
+
+// Time an On=true waits for a Brightness sent along with it (ms)
+const ON_DEFER_INTERVAL = 100;
+
+// Adaptive Lighting controller of each accessory: HAP takes one per service,
+// and an accessory is set up again every time its hub is rediscovered
+const adaptiveLightingControllers = new WeakMap();
+
 /**
  * Smartika Light Accessory
  * 
  * Exposes Smartika light devices to HomeKit with support for:
- * - On/Off control
- * - Brightness (dimming)
+ * - On/Off control, turning on at the last (or a configured) brightness
+ * - Brightness (dimming), where 0% turns the light off
  * - Color Temperature
+ * - Adaptive Lighting
+ * - Optional fades between levels
+ * - Identify by blinking
  */
 class SmartikaLightAccessory {
     /**
      * @param {import('../SmartikaPlatform')} platform
      * @param {import('homebridge').PlatformAccessory} accessory
      * @param {Object} device - Device info from hub
+     * @param {import('../SmartikaHubConnection')} hub - Connection to the hub the device is paired with
      */
-    constructor(platform, accessory, device) {
+    constructor(platform, accessory, device, hub) {
         this.platform = platform;
         this.accessory = accessory;
         this.device = device;
+        this.hub = hub;
         this.log = platform.log;
 
         // HAP references
         this.Service = platform.api.hap.Service;
         this.Characteristic = platform.api.hap.Characteristic;
 
+        // Writes whose polled values are ignored until the hub catches up
+        this.pending = new SmartikaPendingState(platform.config.pollSuppressionWindow, status => this.updateStatus(status));
+
         // Current state
         this.state = {
             on: false,
@@ -31,6 +55,27 @@ class SmartikaLightAccessory {
             colorTemperature: 200, // HomeKit: 140-500 mireds
         };
 
+        // Color temperature calibration of the fixture, and its range in
+        // mireds (cool to warm) within what HomeKit accepts (140-500)
+        this.calibration = device.calibration || protocol.getTemperatureCalibration();
+        this.miredRange = {
+            min: Math.max(140, Math.round(protocol.temperatureToMireds(255, this.calibration))),
+            max: Math.min(500, Math.round(protocol.temperatureToMireds(0, this.calibration))),
+        };
+
+        // Adaptive Lighting (manual mode - transitions applied by our own timer)
+        this.adaptiveLighting = null;
+        this.adaptiveLightingTimer = null;
+
+        // Fades in progress, by level ('brightness' or 'temperature')
+        this.fades = { brightness: null, temperature: null };
+
+        // Last non-zero brightness (%), restored when the light turns on
+        this.lastBrightness = accessory.context.lastBrightness || 100;
+
+        // On=true waiting to see if a Brightness write comes with it
+        this.pendingOn = null;
+
         // Configure the lightbulb service
         this.configureService();
     }
@@ -41,10 +86,10 @@ class SmartikaLightAccessory {
     configureService() {
         // Get or create the Lightbulb service
         this.service = this.accessory.getService(this.Service.Lightbulb) ||
-            this.accessory.addService(this.Service.Lightbulb, this.device.typeName);
+            this.accessory.addService(this.Service.Lightbulb, this.device.name);
 
         // Set the service name
-        this.service.setCharacteristic(this.Characteristic.Name, this.device.typeName);
+        this.service.setCharacteristic(this.Characteristic.Name, this.device.name);
 
         // Configure On characteristic
         this.service.getCharacteristic(this.Characteristic.On)
@@ -57,16 +102,26 @@ class SmartikaLightAccessory {
             .onSet(this.setBrightness.bind(this));
 
         // Configure Color Temperature characteristic (if device supports it)
-        // Most Smartika lights support color temperature
-        this.service.getCharacteristic(this.Characteristic.ColorTemperature)
-            .onGet(this.getColorTemperature.bind(this))
-            .onSet(this.setColorTemperature.bind(this))
-            .setProps({
-                minValue: 140,  // ~7142K (cool white)
-                maxValue: 500,  // ~2000K (warm white)
-            });
+        // Most Smartika lights support color temperature; it can be turned off per device
+        if (this.device.colorTemperature === false) {
+            if (this.service.testCharacteristic(this.Characteristic.ColorTemperature)) {
+                this.service.removeCharacteristic(this.service.getCharacteristic(this.Characteristic.ColorTemperature));
+            }
+        } else {
+            this.service.getCharacteristic(this.Characteristic.ColorTemperature)
+                .onGet(this.getColorTemperature.bind(this))
+                .onSet(this.setColorTemperature.bind(this))
+                .setProps({
+                    minValue: this.miredRange.min,  // Coolest white of the fixture
+                    maxValue: this.miredRange.max,  // Warmest white of the fixture
+                });
+
+            if (this.platform.config.adaptiveLighting !== false) {
+                this.configureAdaptiveLighting();
+            }
+        }
 
-        this.log.debug(`Configured light accessory: ${this.device.typeName} (0x${this.device.shortAddress.toString(16)})`);
+        this.log.debug(`Configured light accessory: ${this.device.name} (0x${this.device.shortAddress.toString(16)})`);
     }
 
     /**
@@ -74,22 +129,44 @@ class SmartikaLightAccessory {
      * @returns {boolean}
      */
     getOn() {
-        this.log.debug(`GET On for ${this.device.typeName}: ${this.state.on}`);
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET On for ${this.device.name}: ${this.state.on}`);
         return this.state.on;
     }
 
     /**
      * Handle SET On
+     * HomeKit often sends On=true together with a Brightness; the On waits
+     * briefly so the light comes on straight at that brightness.
      * @param {boolean} value
      */
     async setOn(value) {
-        this.log.info(`SET On for ${this.device.typeName}: ${value}`);
+        this.log.info(`SET On for ${this.device.name}: ${value}`);
+
+        if (value && this.state.on) {
+            this.log.debug(`Ignoring redundant On for ${this.device.name}`);
+            return;
+        }
 
         try {
-            await this.platform.hub.setDevicePower(value, [this.device.shortAddress]);
-            this.state.on = value;
+            if (!value) {
+                this.pendingOn = null;
+                await this.turnOff();
+                return;
+            }
+
+            const request = {};
+            this.pendingOn = request;
+            await new Promise(resolve => setTimeout(resolve, ON_DEFER_INTERVAL));
+            if (this.pendingOn !== request) {
+                this.log.debug(`On for ${this.device.name} handled by its brightness change`);
+                return;
+            }
+            this.pendingOn = null;
+
+            await this.turnOn(this.getOnLevel());
         } catch (error) {
-            this.log.error(`Failed to set power for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set power for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
@@ -101,42 +178,171 @@ class SmartikaLightAccessory {
      * @returns {number} - Brightness percentage (0-100)
      */
     getBrightness() {
-        this.log.debug(`GET Brightness for ${this.device.typeName}: ${this.state.brightness}%`);
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET Brightness for ${this.device.name}: ${this.state.brightness}%`);
         return this.state.brightness;
     }
 
     /**
      * Handle SET Brightness
+     * 0% turns the light off; any other level turns it on at that level.
      * @param {number} value - Brightness percentage (0-100)
      */
     async setBrightness(value) {
-        this.log.info(`SET Brightness for ${this.device.typeName}: ${value}%`);
+        this.log.info(`SET Brightness for ${this.device.name}: ${value}%`);
+
+        // A pending On is carried out by this change
+        this.pendingOn = null;
 
         try {
-            // Convert 0-100% to 0-255
-            const brightness255 = Math.round(value / 100 * 255);
-            await this.platform.hub.setLightBrightness(brightness255, [this.device.shortAddress]);
-            this.state.brightness = value;
-
-            // If brightness is set to > 0, ensure light is on
-            if (value > 0 && !this.state.on) {
-                this.state.on = true;
-                this.service.updateCharacteristic(this.Characteristic.On, true);
+            if (value === 0) {
+                await this.turnOff();
+                this.state.brightness = 0;
+                return;
+            }
+
+            if (!this.state.on) {
+                await this.turnOn(value);
+                return;
             }
+
+            // Convert 0-100% to 0-255
+            const brightness255 = this.toLevel(value);
+            await this.pending.track({ brightness: this.toLevel(this.state.brightness) }, { brightness: brightness255 }, async () => {
+                this.state.brightness = value;
+                if (this.device.transitionDuration > 0) {
+                    this.runFade('brightness', brightness255);
+                } else {
+                    await this.hub.setLightBrightness(brightness255, [this.device.shortAddress]);
+                }
+            });
+            this.rememberBrightness(value);
+            this.platform.propagateGroupState(this.hub, this.device, { on: true, brightness: brightness255 });
+
+            // Adaptive Lighting adjusts the temperature to the brightness
+            this.applyAdaptiveLighting();
         } catch (error) {
-            this.log.error(`Failed to set brightness for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set brightness for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
         }
     }
 
+    /**
+     * Turn the light on at a brightness
+     * The level is set before power, so the light never flashes at its old level.
+     * @param {number} level - Brightness percentage (1-100)
+     */
+    async turnOn(level) {
+        const brightness255 = this.toLevel(level);
+        const previous = { on: this.state.on, brightness: this.toLevel(this.state.brightness) };
+
+        await this.pending.track(previous, { on: true, brightness: brightness255 }, async () => {
+            const sendLevel = level !== this.state.brightness;
+            this.state.on = true;
+            this.state.brightness = level;
+            this.service.updateCharacteristic(this.Characteristic.On, true);
+            this.service.updateCharacteristic(this.Characteristic.Brightness, level);
+
+            if (this.device.transitionDuration > 0) {
+                await this.fadePower(true, brightness255);
+            } else {
+                if (sendLevel) {
+                    await this.hub.setLightBrightness(brightness255, [this.device.shortAddress]);
+                }
+                await this.hub.setDevicePower(true, [this.device.shortAddress]);
+            }
+        });
+
+        this.rememberBrightness(level);
+        this.platform.propagateGroupState(this.hub, this.device, { on: true, brightness: brightness255 });
+
+        // Catch up on Adaptive Lighting changes skipped while off
+        this.applyAdaptiveLighting();
+    }
+
+    /**
+     * Turn the light off, fading out if transitions are enabled
+     */
+    async turnOff() {
+        await this.pending.track({ on: this.state.on }, { on: false }, async () => {
+            const fade = this.device.transitionDuration > 0 && this.state.on;
+            this.state.on = false;
+            this.service.updateCharacteristic(this.Characteristic.On, false);
+
+            if (fade) {
+                await this.fadePower(false);
+            } else {
+                await this.hub.setDevicePower(false, [this.device.shortAddress]);
+            }
+        });
+
+        this.platform.propagateGroupState(this.hub, this.device, { on: false });
+    }
+
+    /**
+     * Blink the light (or pulse its brightness while on) so it can be found
+     * The sequence ends back at the current state; polls taken mid-blink
+     * are ignored.
+     */
+    async identify() {
+        this.log.info(`Identifying ${this.device.name}`);
+        this.pending.hold(['on', 'brightness']);
+        try {
+            await this.hub.identifyDevice({
+                shortAddress: this.device.shortAddress,
+                category: protocol.DEVICE_CATEGORY.LIGHT,
+                on: this.state.on,
+                brightness: this.toLevel(this.state.brightness),
+            });
+        } catch (error) {
+            this.log.error(`Failed to identify ${this.device.name}:`, error.message);
+        }
+        this.pending.hold(['on', 'brightness']);
+    }
+
+    /**
+     * Get the brightness to turn on at
+     * @returns {number} - Brightness percentage (1-100)
+     */
+    getOnLevel() {
+        const { onLevel } = this.device;
+
+        if (onLevel && onLevel.brightness) {
+            return onLevel.brightness;
+        }
+
+        if (onLevel && onLevel.schedule) {
+            // Latest entry at or before now, else the last one from the day before
+            const now = new Date();
+            const minutes = now.getHours() * 60 + now.getMinutes();
+            const current = onLevel.schedule.filter(item => item.minutes <= minutes).pop() ||
+                onLevel.schedule[onLevel.schedule.length - 1];
+            return current.brightness;
+        }
+
+        return this.lastBrightness;
+    }
+
+    /**
+     * Remember a non-zero brightness to restore when the light turns on
+     * @param {number} value - Brightness percentage (0-100)
+     */
+    rememberBrightness(value) {
+        if (value > 0 && value !== this.lastBrightness) {
+            this.lastBrightness = value;
+            this.accessory.context.lastBrightness = value;
+        }
+    }
+
     /**
      * Handle GET ColorTemperature
      * @returns {number} - Color temperature in mireds (140-500)
      */
     getColorTemperature() {
-        this.log.debug(`GET ColorTemperature for ${this.device.typeName}: ${this.state.colorTemperature} mireds`);
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET ColorTemperature for ${this.device.name}: ${this.state.colorTemperature} mireds`);
         return this.state.colorTemperature;
     }
 
@@ -145,56 +351,391 @@ class SmartikaLightAccessory {
      * @param {number} value - Color temperature in mireds (140-500)
      */
     async setColorTemperature(value) {
-        this.log.info(`SET ColorTemperature for ${this.device.typeName}: ${value} mireds`);
+        this.log.info(`SET ColorTemperature for ${this.device.name}: ${value} mireds`);
+
+        // A manual change turns Adaptive Lighting off, as HomeKit expects
+        if (this.adaptiveLighting && this.adaptiveLighting.isAdaptiveLightingActive()) {
+            this.log.info(`Adaptive Lighting disabled for ${this.device.name} by manual color temperature change`);
+            this.adaptiveLighting.disableAdaptiveLighting();
+        }
 
         try {
-            // Convert mireds to Smartika temperature (0=warm, 255=cool)
-            // HomeKit: 140 (cool/7142K) to 500 (warm/2000K)
-            // Smartika: 0 (warm) to 255 (cool)
-            // So we need to invert: higher mireds = warmer = lower Smartika value
-            const temp255 = Math.round((500 - value) / (500 - 140) * 255);
-            await this.platform.hub.setLightTemperature(temp255, [this.device.shortAddress]);
-            this.state.colorTemperature = value;
+            const temp255 = this.toSmartikaTemperature(value);
+            const previous = { temperature: this.toSmartikaTemperature(this.state.colorTemperature) };
+            await this.pending.track(previous, { temperature: temp255 }, async () => {
+                this.state.colorTemperature = value;
+                if (this.device.transitionDuration > 0) {
+                    this.runFade('temperature', temp255);
+                } else {
+                    await this.hub.setLightTemperature(temp255, [this.device.shortAddress]);
+                }
+            });
+            this.platform.propagateGroupState(this.hub, this.device, { temperature: temp255 });
         } catch (error) {
-            this.log.error(`Failed to set color temperature for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set color temperature for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
         }
     }
 
+    /**
+     * Turn on or off by fading up from, or down to, the lowest level
+     * Turning off switches power off once the fade completes, then puts the
+     * level back so the light doesn't come on nearly dark from a wall remote
+     * or the Artika app.
+     * @param {boolean} on
+     * @param {number} [level] - Level to fade up to when turning on (0-255)
+     */
+    async fadePower(on, level) {
+        if (on) {
+            this.cancelFade('brightness');
+            await this.hub.setLightBrightness(FADE_FLOOR, [this.device.shortAddress]);
+            await this.hub.setDevicePower(true, [this.device.shortAddress]);
+            this.runFade('brightness', level, FADE_FLOOR);
+            return;
+        }
+
+        const levels = this.getFadeStart('brightness')
+            .map(device => ({ deviceId: device.deviceId, brightness: device.from }));
+        this.fade('brightness', FADE_FLOOR)
+            .then(async (completed) => {
+                if (!completed) {
+                    return;
+                }
+                await this.hub.setDevicePower(false, [this.device.shortAddress]);
+                if (!this.state.on) {
+                    await this.sendFadeStep('brightness', levels);
+                }
+            })
+            .catch((error) => {
+                this.log.warn(`Failed to fade out ${this.device.name}: ${error.message}`);
+            });
+    }
+
+    /**
+     * Start a fade in the background so HomeKit isn't kept waiting
+     * @param {string} key - 'brightness' or 'temperature'
+     * @param {number} to - Target level (0-255)
+     * @param {number} [from] - Starting level, instead of the current one
+     */
+    runFade(key, to, from) {
+        this.fade(key, to, from).catch((error) => {
+            this.log.warn(`Failed to fade ${key} of ${this.device.name}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Cancel the fade in progress for a level, if any
+     * @param {string} key - 'brightness' or 'temperature'
+     */
+    cancelFade(key) {
+        if (this.fades[key]) {
+            this.fades[key].cancelled = true;
+            this.fades[key] = null;
+        }
+    }
+
+    /**
+     * Step a level to its target over the transition duration
+     * A newer fade of the same level cancels this one. Groups fade each member
+     * from its own level with one batch frame per step.
+     * @param {string} key - 'brightness' or 'temperature'
+     * @param {number} to - Target level (0-255)
+     * @param {number} [from] - Starting level, instead of the current one
+     * @returns {Promise<boolean>} - True if the fade ran to the end
+     */
+    async fade(key, to, from) {
+        // A fade cut short continues from the levels it had reached
+        const previous = this.fades[key];
+        this.cancelFade(key);
+        const fade = { cancelled: false, levels: null };
+        this.fades[key] = fade;
+
+        const start = previous && previous.levels && from === undefined
+            ? previous.levels.map(level => ({ deviceId: level.deviceId, from: level[key] }))
+            : this.getFadeStart(key, from);
+        const startTime = Date.now();
+        let progress = 0;
+
+        try {
+            while (progress < 1) {
+                await new Promise(resolve => setTimeout(resolve, FADE_STEP_INTERVAL));
+                if (fade.cancelled) {
+                    return false;
+                }
+
+                progress = Math.min(1, (Date.now() - startTime) / this.device.transitionDuration);
+                const levels = start.map(device => ({
+                    deviceId: device.deviceId,
+                    [key]: Math.round(device.from + (to - device.from) * progress),
+                }));
+                await this.sendFadeStep(key, levels);
+                fade.levels = levels;
+            }
+        } finally {
+            if (this.fades[key] === fade) {
+                this.fades[key] = null;
+            }
+        }
+
+        return !fade.cancelled;
+    }
+
+    /**
+     * Get the devices a fade drives and the level each starts from
+     * @param {string} key - 'brightness' or 'temperature'
+     * @param {number} [from] - Starting level, instead of the current one
+     * @returns {Array<{deviceId: number, from: number}>}
+     */
+    getFadeStart(key, from) {
+        const current = from ?? (key === 'brightness'
+            ? this.toLevel(this.state.brightness)
+            : this.toSmartikaTemperature(this.state.colorTemperature));
+
+        const members = this.device.isGroup
+            ? this.platform.getGroupMembers(this.hub, this.device.shortAddress)
+            : [];
+        if (members.length === 0) {
+            return [{ deviceId: this.device.shortAddress, from: current }];
+        }
+
+        return members.map(member => ({
+            deviceId: member.shortAddress,
+            from: from ?? member[key] ?? current,
+        }));
+    }
+
+    /**
+     * Send one fade step
+     * @param {string} key - 'brightness' or 'temperature'
+     * @param {Array<Object>} levels - { deviceId, [key] } per device
+     */
+    async sendFadeStep(key, levels) {
+        // A group whose members aren't known is addressed as a whole
+        if (levels.length === 1 && levels[0].deviceId === this.device.shortAddress && this.device.isGroup) {
+            if (key === 'brightness') {
+                await this.hub.setLightBrightness(levels[0].brightness, [this.device.shortAddress]);
+            } else {
+                await this.hub.setLightTemperature(levels[0].temperature, [this.device.shortAddress]);
+            }
+            return;
+        }
+
+        if (key === 'brightness') {
+            await this.hub.setLightBrightnessBatch(levels);
+        } else {
+            await this.hub.setLightTemperatureBatch(levels);
+        }
+    }
+
+    /**
+     * Convert a brightness percentage to a Smartika level
+     * @param {number} percent - 0-100
+     * @returns {number} - 0-255
+     */
+    toLevel(percent) {
+        return Math.round(percent / 100 * 255);
+    }
+
+    /**
+     * Convert mireds to Smartika temperature (0=warm, 255=cool)
+     * Higher mireds = warmer = lower Smartika value, following the fixture's calibration
+     * @param {number} mireds
+     * @returns {number} - 0-255
+     */
+    toSmartikaTemperature(mireds) {
+        const { min, max } = this.miredRange;
+        const clamped = Math.max(min, Math.min(max, mireds));
+        return protocol.miredsToTemperature(clamped, this.calibration);
+    }
+
+    /**
+     * Convert Smartika temperature (0=warm, 255=cool) to mireds
+     * @param {number} temperature - 0-255
+     * @returns {number} - Mireds within the HomeKit range
+     */
+    toMireds(temperature) {
+        const { min, max } = this.miredRange;
+        const mireds = Math.round(protocol.temperatureToMireds(temperature, this.calibration));
+        return Math.max(min, Math.min(max, mireds));
+    }
+
+    /**
+     * Set up the Adaptive Lighting controller
+     * Manual mode: HomeKit hands over the transition curve and we apply it on a
+     * timer, so every step goes through setLightTemperature like any other write.
+     */
+    configureAdaptiveLighting() {
+        const { AdaptiveLightingController, AdaptiveLightingControllerMode } = this.platform.api.hap;
+
+        // Reuse the controller from an earlier setup of this accessory
+        this.adaptiveLighting = adaptiveLightingControllers.get(this.accessory);
+        if (!this.adaptiveLighting) {
+            this.adaptiveLighting = new AdaptiveLightingController(this.service, {
+                controllerMode: AdaptiveLightingControllerMode.MANUAL,
+            });
+            this.accessory.configureController(this.adaptiveLighting);
+            adaptiveLightingControllers.set(this.accessory, this.adaptiveLighting);
+        }
+
+        this.adaptiveLightingListeners = {
+            update: () => this.startAdaptiveLighting(),
+            disable: () => this.stopAdaptiveLighting(),
+        };
+        for (const [event, listener] of Object.entries(this.adaptiveLightingListeners)) {
+            this.adaptiveLighting.on(event, listener);
+        }
+
+        // Transition restored from the accessory cache
+        if (this.adaptiveLighting.isAdaptiveLightingActive()) {
+            this.startAdaptiveLighting();
+        }
+    }
+
+    /**
+     * Stop this handler before a new one takes over the accessory
+     */
+    dispose() {
+        this.stopAdaptiveLighting();
+        if (this.adaptiveLighting) {
+            for (const [event, listener] of Object.entries(this.adaptiveLightingListeners)) {
+                this.adaptiveLighting.off(event, listener);
+            }
+        }
+    }
+
+    /**
+     * Start (or restart) applying the active Adaptive Lighting transition
+     */
+    startAdaptiveLighting() {
+        this.stopAdaptiveLighting();
+        this.log.debug(`Adaptive Lighting active for ${this.device.name}`);
+
+        this.applyAdaptiveLighting();
+        this.adaptiveLightingTimer = setInterval(
+            () => this.applyAdaptiveLighting(),
+            this.adaptiveLighting.getAdaptiveLightingUpdateInterval(),
+        );
+    }
+
+    /**
+     * Stop applying Adaptive Lighting
+     */
+    stopAdaptiveLighting() {
+        if (this.adaptiveLightingTimer) {
+            clearInterval(this.adaptiveLightingTimer);
+            this.adaptiveLightingTimer = null;
+        }
+    }
+
+    /**
+     * Send the color temperature the active transition calls for right now
+     * Skipped while the light is off; setOn catches up when it turns on.
+     */
+    async applyAdaptiveLighting() {
+        if (!this.adaptiveLighting || !this.adaptiveLighting.isAdaptiveLightingActive()) {
+            this.stopAdaptiveLighting();
+            return;
+        }
+
+        if (!this.state.on) {
+            return;
+        }
+
+        const mireds = this.getAdaptiveLightingTemperature();
+        if (mireds === null || mireds === this.state.colorTemperature) {
+            return;
+        }
+
+        try {
+            const temp255 = this.toSmartikaTemperature(mireds);
+            const previous = { temperature: this.toSmartikaTemperature(this.state.colorTemperature) };
+            await this.pending.track(previous, { temperature: temp255 }, () => {
+                this.state.colorTemperature = mireds;
+                this.service.updateCharacteristic(this.Characteristic.ColorTemperature, mireds);
+                return this.hub.setLightTemperature(temp255, [this.device.shortAddress]);
+            });
+            this.platform.propagateGroupState(this.hub, this.device, { temperature: temp255 });
+            this.log.debug(`Adaptive Lighting set ${this.device.name} to ${mireds} mireds`);
+        } catch (error) {
+            this.log.warn(`Adaptive Lighting update failed for ${this.device.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Interpolate the active transition curve for the current time and brightness
+     * Each curve entry holds for `duration` ms, then moves linearly to the next
+     * entry over that entry's `transitionTime`.
+     * @returns {number|null} - Mireds within the fixture's range, or null if the curve has ended
+     */
+    getAdaptiveLightingTemperature() {
+        const curve = this.adaptiveLighting.getAdaptiveLightingTransitionCurve();
+        const range = this.adaptiveLighting.getAdaptiveLightingBrightnessMultiplierRange();
+        const elapsed = Date.now()
+            - this.adaptiveLighting.getAdaptiveLightingTimeOffset()
+            - this.adaptiveLighting.getAdaptiveLightingStartTimeOfTransition();
+
+        let lowerOffset = 0;
+        for (let i = 0; i + 1 < curve.length; i++) {
+            const lower = curve[i];
+            const upper = curve[i + 1];
+            const hold = lower.duration || 0;
+            lowerOffset += lower.transitionTime;
+
+            if (elapsed >= lowerOffset && elapsed <= lowerOffset + hold + upper.transitionTime) {
+                const offset = elapsed - lowerOffset;
+                const progress = offset <= hold ? 0 : (offset - hold) / upper.transitionTime;
+                const temperature = lower.temperature + (upper.temperature - lower.temperature) * progress;
+                const factor = lower.brightnessAdjustmentFactor +
+                    (upper.brightnessAdjustmentFactor - lower.brightnessAdjustmentFactor) * progress;
+                const brightness = Math.max(range.minBrightnessValue, Math.min(range.maxBrightnessValue, this.state.brightness));
+
+                const mireds = Math.round(temperature + factor * brightness);
+                return Math.max(this.miredRange.min, Math.min(this.miredRange.max, mireds));
+            }
+
+            lowerOffset += hold;
+        }
+
+        return null;
+    }
+
     /**
      * Update state from hub status
      * @param {Object} status - Status from hub
      */
     updateStatus(status) {
-        // Update On state
-        if (status.on !== undefined && status.on !== this.state.on) {
-            this.state.on = status.on;
-            this.service.updateCharacteristic(this.Characteristic.On, status.on);
-            this.log.debug(`Updated ${this.device.typeName} On: ${status.on}`);
+        status = this.pending.filter(status);
+
+        // Update On state (a light dimmed to 0 is off)
+        const on = status.on !== undefined ? status.on && status.brightness !== 0 : undefined;
+        if (on !== undefined && on !== this.state.on && !this.fades.brightness) {
+            this.state.on = on;
+            this.service.updateCharacteristic(this.Characteristic.On, on);
+            this.log.debug(`Updated ${this.device.name} On: ${on}`);
         }
 
-        // Update Brightness
-        if (status.brightness !== undefined) {
+        // Update Brightness (not mid-fade, not 0, nor the faded-out level of a light that is off)
+        const fadedOut = this.device.transitionDuration > 0 && status.on === false;
+        if (status.brightness && !this.fades.brightness && !fadedOut) {
             // Convert 0-255 to 0-100%
             const brightness = Math.round(status.brightness / 255 * 100);
             if (brightness !== this.state.brightness) {
                 this.state.brightness = brightness;
+                this.rememberBrightness(brightness);
                 this.service.updateCharacteristic(this.Characteristic.Brightness, brightness);
-                this.log.debug(`Updated ${this.device.typeName} Brightness: ${brightness}%`);
+                this.log.debug(`Updated ${this.device.name} Brightness: ${brightness}%`);
             }
         }
 
         // Update Color Temperature
-        if (status.temperature !== undefined) {
-            // Convert Smartika temperature (0=warm, 255=cool) to mireds (140-500)
-            // Invert: lower Smartika = warmer = higher mireds
-            const mireds = Math.round(500 - (status.temperature / 255 * (500 - 140)));
+        if (status.temperature !== undefined && this.device.colorTemperature !== false && !this.fades.temperature) {
+            const mireds = this.toMireds(status.temperature);
             if (mireds !== this.state.colorTemperature) {
                 this.state.colorTemperature = mireds;
                 this.service.updateCharacteristic(this.Characteristic.ColorTemperature, mireds);
-                this.log.debug(`Updated ${this.device.typeName} ColorTemperature: ${mireds} mireds`);
+                this.log.debug(`Updated ${this.device.name} ColorTemperature: ${mireds} mireds`);
             }
         }
     }
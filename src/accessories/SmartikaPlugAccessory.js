@@ -1,89 +1,152 @@
 'use strict';
 
+const { DEVICE_CATEGORY } = require('../SmartikaProtocol');
+const SmartikaPendingState = require('../SmartikaPendingState');
+
+// HomeKit services a plug can be shown as
+const SERVICE_TYPE = {
+    OUTLET: 'outlet',
+    SWITCH: 'switch',
+    LIGHTBULB: 'lightbulb',
+    FAN: 'fan',
+    VALVE: 'valve',
+};
+
 /**
  * Smartika Plug Accessory
- * 
+ *
  * Exposes Smartika smart plug devices to HomeKit with support for:
  * - On/Off control
+ * - Outlet, Switch, Lightbulb, Fan or Valve service, after what the plug drives
+ * - Identify by toggling twice
  */
 class SmartikaPlugAccessory {
     /**
      * @param {import('../SmartikaPlatform')} platform
      * @param {import('homebridge').PlatformAccessory} accessory
      * @param {Object} device - Device info from hub
+     * @param {import('../SmartikaHubConnection')} hub - Connection to the hub the device is paired with
      */
-    constructor(platform, accessory, device) {
+    constructor(platform, accessory, device, hub) {
         this.platform = platform;
         this.accessory = accessory;
         this.device = device;
+        this.hub = hub;
         this.log = platform.log;
 
         // HAP references
         this.Service = platform.api.hap.Service;
         this.Characteristic = platform.api.hap.Characteristic;
 
+        // Writes whose polled values are ignored until the hub catches up
+        this.pending = new SmartikaPendingState(platform.config.pollSuppressionWindow, status => this.updateStatus(status));
+
         // Current state
         this.state = {
             on: false,
         };
 
-        // Configure the outlet service
+        // Configure the service the plug is shown as
         this.configureService();
     }
 
     /**
-     * Configure the Outlet service
+     * Configure the Outlet, Switch, Lightbulb, Fanv2 or Valve service
+     * Switches, lights and outlets use On; fans and valves use Active.
      */
     configureService() {
-        // Get or create the Outlet service
-        this.service = this.accessory.getService(this.Service.Outlet) ||
-            this.accessory.addService(this.Service.Outlet, this.device.typeName);
+        const serviceType = this.device.serviceType || SERVICE_TYPE.OUTLET;
+        const service = {
+            [SERVICE_TYPE.OUTLET]: this.Service.Outlet,
+            [SERVICE_TYPE.SWITCH]: this.Service.Switch,
+            [SERVICE_TYPE.LIGHTBULB]: this.Service.Lightbulb,
+            [SERVICE_TYPE.FAN]: this.Service.Fanv2,
+            [SERVICE_TYPE.VALVE]: this.Service.Valve,
+        }[serviceType];
+
+        // Get or create the service
+        this.service = this.accessory.getService(service) ||
+            this.accessory.addService(service, this.device.name);
 
         // Set the service name
-        this.service.setCharacteristic(this.Characteristic.Name, this.device.typeName);
+        this.service.setCharacteristic(this.Characteristic.Name, this.device.name);
 
-        // Configure On characteristic
-        this.service.getCharacteristic(this.Characteristic.On)
+        // Configure the power characteristic
+        this.powerCharacteristic = [SERVICE_TYPE.FAN, SERVICE_TYPE.VALVE].includes(serviceType)
+            ? this.Characteristic.Active
+            : this.Characteristic.On;
+
+        this.service.getCharacteristic(this.powerCharacteristic)
             .onGet(this.getOn.bind(this))
             .onSet(this.setOn.bind(this));
 
         // Configure OutletInUse characteristic (we'll assume it's in use if it's on)
-        this.service.getCharacteristic(this.Characteristic.OutletInUse)
-            .onGet(this.getOutletInUse.bind(this));
+        if (serviceType === SERVICE_TYPE.OUTLET) {
+            this.service.getCharacteristic(this.Characteristic.OutletInUse)
+                .onGet(this.getOutletInUse.bind(this));
+        }
 
-        this.log.debug(`Configured plug accessory: ${this.device.typeName} (0x${this.device.shortAddress.toString(16)})`);
+        // Configure a generic valve, in use whenever it's open
+        if (serviceType === SERVICE_TYPE.VALVE) {
+            this.service.setCharacteristic(this.Characteristic.ValveType, this.Characteristic.ValveType.GENERIC_VALVE);
+            this.service.getCharacteristic(this.Characteristic.InUse)
+                .onGet(() => this.toHomeKit(this.state.on));
+        }
+
+        this.log.debug(`Configured plug accessory: ${this.device.name} (0x${this.device.shortAddress.toString(16)}) as ${serviceType}`);
     }
 
     /**
-     * Handle GET On
-     * @returns {boolean}
+     * Handle GET On (or Active)
+     * @returns {boolean|number}
      */
     getOn() {
-        this.log.debug(`GET On for ${this.device.typeName}: ${this.state.on}`);
-        return this.state.on;
+        this.platform.assertReachable(this.accessory);
+        this.log.debug(`GET On for ${this.device.name}: ${this.state.on}`);
+        return this.toHomeKit(this.state.on);
     }
 
     /**
-     * Handle SET On
-     * @param {boolean} value
+     * Handle SET On (or Active)
+     * @param {boolean|number} value
      */
     async setOn(value) {
-        this.log.info(`SET On for ${this.device.typeName}: ${value}`);
+        const on = value === true || value === 1;
+        this.log.info(`SET On for ${this.device.name}: ${on}`);
 
         try {
-            await this.platform.hub.setDevicePower(value, [this.device.shortAddress]);
-            this.state.on = value;
-
-            // Update OutletInUse when power state changes
-            this.service.updateCharacteristic(this.Characteristic.OutletInUse, value);
+            await this.pending.track({ on: this.state.on }, { on }, () => {
+                this.state.on = on;
+                return this.hub.setDevicePower(on, [this.device.shortAddress]);
+            });
+            this.platform.propagateGroupState(this.hub, this.device, { on });
+            this.updateInUse(on);
         } catch (error) {
-            this.log.error(`Failed to set power for ${this.device.typeName}:`, error.message);
+            this.log.error(`Failed to set power for ${this.device.name}:`, error.message);
             throw new this.platform.api.hap.HapStatusError(
                 this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE,
             );
         }
     }
 
+    /**
+     * Toggle the plug twice so it can be found
+     */
+    async identify() {
+        this.log.info(`Identifying ${this.device.name}`);
+        this.pending.hold(['on']);
+        try {
+            await this.hub.identifyDevice({
+                shortAddress: this.device.shortAddress,
+                category: DEVICE_CATEGORY.PLUG,
+                on: this.state.on,
+            });
+        } catch (error) {
+            this.log.error(`Failed to identify ${this.device.name}:`, error.message);
+        }
+        this.pending.hold(['on']);
+    }
+
     /**
      * Handle GET OutletInUse
      * @returns {boolean}
@@ -94,19 +157,48 @@ class SmartikaPlugAccessory {
         return this.state.on;
     }
 
+    /**
+     * Update OutletInUse or InUse after a power change
+     * @param {boolean} on
+     */
+    updateInUse(on) {
+        if (this.service.testCharacteristic(this.Characteristic.OutletInUse)) {
+            this.service.updateCharacteristic(this.Characteristic.OutletInUse, on);
+        }
+        if (this.service.testCharacteristic(this.Characteristic.InUse)) {
+            this.service.updateCharacteristic(this.Characteristic.InUse, this.toHomeKit(on));
+        }
+    }
+
+    /**
+     * Convert a power state to the value of the power characteristic
+     * @param {boolean} on
+     * @returns {boolean|number} - On value, or ACTIVE/INACTIVE (and IN_USE/NOT_IN_USE)
+     */
+    toHomeKit(on) {
+        if (this.powerCharacteristic === this.Characteristic.Active) {
+            return on ? 1 : 0;
+        }
+        return on;
+    }
+
     /**
      * Update state from hub status
      * @param {Object} status - Status from hub
      */
     updateStatus(status) {
+        status = this.pending.filter(status);
+
         // Update On state
         if (status.on !== undefined && status.on !== this.state.on) {
             this.state.on = status.on;
-            this.service.updateCharacteristic(this.Characteristic.On, status.on);
-            this.service.updateCharacteristic(this.Characteristic.OutletInUse, status.on);
-            this.log.debug(`Updated ${this.device.typeName} On: ${status.on}`);
+            this.service.updateCharacteristic(this.powerCharacteristic, this.toHomeKit(status.on));
+            this.updateInUse(status.on);
+            this.log.debug(`Updated ${this.device.name} On: ${status.on}`);
         }
     }
 }
 
+SmartikaPlugAccessory.SERVICE_TYPE = SERVICE_TYPE;
+
 module.exports = SmartikaPlugAccessory;
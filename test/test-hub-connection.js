@@ -8,9 +8,17 @@
  * and the real crypto + protocol modules. No actual network connection needed.
  */
 
+const EventEmitter = require('events');
 const crypto = require('../src/SmartikaCrypto');
 const protocol = require('../src/SmartikaProtocol');
 const SmartikaHubConnection = require('../src/SmartikaHubConnection');
+const SmartikaPendingState = require('../src/SmartikaPendingState');
+const SmartikaLightAccessory = require('../src/accessories/SmartikaLightAccessory');
+const SmartikaFanAccessory = require('../src/accessories/SmartikaFanAccessory');
+const SmartikaPlugAccessory = require('../src/accessories/SmartikaPlugAccessory');
+const SmartikaPlatform = require('../src/SmartikaPlatform');
+
+const { STATE } = SmartikaHubConnection;
 
 let passed = 0;
 let failed = 0;
@@ -70,16 +78,16 @@ const silentLog = {
  * Build a pre-connected SmartikaHubConnection with a fake socket.
  * Returns { hub, emitData } where emitData(buf) simulates incoming TCP data.
  */
-function makeConnectedHub() {
-    const hub = new SmartikaHubConnection({ host: '127.0.0.1', log: silentLog });
+function makeConnectedHub(options = {}) {
+    const hub = new SmartikaHubConnection({ host: '127.0.0.1', log: silentLog, ...options });
 
     // Inject pre-connected state
-    hub.connected = true;
+    hub.state = STATE.READY;
     hub.encryptionKey = TEST_KEY;
-    hub.socket = {
+    hub.socket = Object.assign(new EventEmitter(), {
         write: () => {},
         destroy: () => {},
-    };
+    });
 
     function emitData(buf) {
         hub.handleData(buf);
@@ -88,6 +96,98 @@ function makeConnectedHub() {
     return { hub, emitData };
 }
 
+/**
+ * Build an accessory handler on stub HAP services (Adaptive Lighting off).
+ */
+function makeAccessory(AccessoryClass, device, hub) {
+    const characteristic = {
+        onGet: () => characteristic,
+        onSet: () => characteristic,
+        setProps: () => characteristic,
+    };
+    const service = {
+        setCharacteristic: () => service,
+        getCharacteristic: () => characteristic,
+        updateCharacteristic: () => service,
+    };
+    const names = new Proxy({}, { get: (target, name) => name });
+    const platform = {
+        log: silentLog,
+        config: { adaptiveLighting: false },
+        api: { hap: { Service: names, Characteristic: names } },
+        assertReachable: () => {},
+        propagateGroupState: () => {},
+    };
+    const accessory = { context: {}, getService: () => service };
+
+    return new AccessoryClass(platform, accessory, { name: 'Device', ...device }, hub);
+}
+
+/**
+ * Build a fan accessory on a hub that records its calls.
+ * Returns { fan, calls } where calls lists [method, ...args] per hub write.
+ */
+function makeFan(device = {}) {
+    const calls = [];
+    const hub = {
+        setDevicePower: async (...args) => calls.push(['setDevicePower', ...args]),
+        setFanSpeed: async (...args) => calls.push(['setFanSpeed', ...args]),
+    };
+
+    const fan = makeAccessory(SmartikaFanAccessory, { shortAddress: 0x5a01, ...device }, hub);
+    return { fan, calls };
+}
+
+/**
+ * Identify an accessory through a real hub connection that answers every
+ * frame, with the pauses between identify steps left out.
+ * Returns the request frames the hub was sent.
+ */
+async function identifyFrames(AccessoryClass, device, status) {
+    const { hub, emitData } = makeConnectedHub();
+
+    const written = [];
+    hub.socket.write = (data) => {
+        const request = crypto.decrypt(data, TEST_KEY);
+        written.push(request);
+        const reply = Buffer.alloc(2);
+        reply.writeUInt16BE(device.shortAddress);
+        setImmediate(() => emitData(encryptPacket(protocol.createPacket(request.readUInt16BE(2), reply, 1, false))));
+    };
+
+    const handler = makeAccessory(AccessoryClass, device, hub);
+    handler.updateStatus(status);
+
+    const createIdentifySequence = protocol.createIdentifySequence;
+    protocol.createIdentifySequence = state => createIdentifySequence(state).map(step => ({ ...step, delay: 0 }));
+    try {
+        await handler.identify();
+    } finally {
+        protocol.createIdentifySequence = createIdentifySequence;
+    }
+    return written;
+}
+
+/**
+ * Build a platform on a stub Homebridge API (HAP UUIDs are the keys themselves).
+ * Returns { platform, api, HapStatusError }; api.unregistered lists removed accessories.
+ */
+function makePlatform(config) {
+    class HapStatusError extends Error {}
+    const api = {
+        unregistered: [],
+        on: () => {},
+        unregisterPlatformAccessories: (plugin, platform, accessories) => api.unregistered.push(...accessories),
+        hap: {
+            uuid: { generate: key => key },
+            HapStatusError,
+            HAPStatus: { SERVICE_COMMUNICATION_FAILURE: -70402 },
+        },
+    };
+    const platform = new SmartikaPlatform(silentLog, config, api);
+    return { platform, api, HapStatusError };
+}
+
 /**
  * Encrypt a protocol packet with the test key (simulates a hub response).
  */
@@ -200,6 +300,101 @@ await testAsync('handles three fragments that together form a complete block', a
     assert(decrypted.length >= 11, 'full packet decrypted after three fragments');
 });
 
+// ============================================================================
+// handleData — stream framing
+// ============================================================================
+
+console.log('\nhandleData – stream framing');
+console.log('============================\n');
+
+await testAsync('splits two coalesced responses and resolves both commands', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+    const enc = encryptPacket(pingResponse);
+
+    const p1 = hub.sendCommand(protocol.createPingRequest());
+    const p2 = hub.sendCommand(protocol.createPingRequest());
+
+    // Both responses arrive in a single TCP chunk
+    emitData(Buffer.concat([enc, enc]));
+
+    const [r1, r2] = await Promise.all([p1, p2]);
+    assert(r1.equals(pingResponse), 'first response is the exact frame');
+    assert(r2.equals(pingResponse), 'second response is the exact frame');
+});
+
+await testAsync('carries bytes after a frame over into the next frame', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+    const enc = encryptPacket(pingResponse);
+
+    const p1 = hub.sendCommand(protocol.createPingRequest());
+    const p2 = hub.sendCommand(protocol.createPingRequest());
+
+    // First frame plus the head of the second one
+    emitData(Buffer.concat([enc, enc.subarray(0, 5)]));
+    await p1;
+    assertEqual(hub.responseBuffer.length, 5, 'leftover bytes kept in buffer');
+
+    emitData(enc.subarray(5));
+    const r2 = await p2;
+    assert(r2.equals(pingResponse), 'second response decrypted from carried-over bytes');
+});
+
+await testAsync('decrypts a multi-block frame delivered block by block', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const response = protocol.createPacket(protocol.CMD.DEVICE_STATUS, Buffer.alloc(40, 0xAB), 2, false);
+    const enc = encryptPacket(response);
+    assert(enc.length > 32, 'frame should span several blocks');
+
+    const resultPromise = hub.sendCommand(protocol.createDeviceStatusRequest());
+    for (let i = 0; i < enc.length; i += 16) {
+        emitData(enc.subarray(i, i + 16));
+    }
+
+    const decrypted = await resultPromise;
+    assert(decrypted.equals(response), 'frame reassembled across blocks');
+});
+
+await testAsync('drops a frame with a bad checksum and keeps the stream in sync', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const corrupt = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+    corrupt[9] ^= 0xFF; // FCS byte
+    const good = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+
+    const resultPromise = hub.sendCommand(protocol.createPingRequest());
+    emitData(Buffer.concat([encryptPacket(corrupt), encryptPacket(good)]));
+
+    const decrypted = await resultPromise;
+    assert(decrypted.equals(good), 'resolved with the valid frame only');
+});
+
+await testAsync('resynchronizes after a block without a start mark', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const garbage = crypto.encrypt(Buffer.alloc(16, 0x55), TEST_KEY);
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+
+    const resultPromise = hub.sendCommand(protocol.createPingRequest());
+    emitData(Buffer.concat([garbage, encryptPacket(pingResponse)]));
+
+    const decrypted = await resultPromise;
+    assert(decrypted.equals(pingResponse), 'frame after garbage is still decoded');
+});
+
+test('ignores data until the encryption key is known', () => {
+    const { hub, emitData } = makeConnectedHub();
+    hub.encryptionKey = null;
+
+    // Unencrypted gateway ID response seen by the regular data handler
+    emitData(protocol.createPacket(protocol.CMD.GATEWAY_ID, Buffer.alloc(12), 0, false));
+    assertEqual(hub.responseBuffer.length, 0, 'nothing buffered before handshake');
+});
+
 // ============================================================================
 // handleData — no pending command
 // ============================================================================
@@ -249,7 +444,7 @@ await testAsync('second command is sent only after first resolves', async () =>
 
 await testAsync('rejects with "Not connected" when hub is disconnected', async () => {
     const { hub } = makeConnectedHub();
-    hub.connected = false;
+    hub.state = STATE.IDLE;
 
     let errorMessage = null;
     await hub.sendCommand(protocol.createPingRequest()).catch(e => {
@@ -296,6 +491,651 @@ await testAsync('queue continues processing after a timeout', async () => {
     assert(decrypted.length >= 11, 'second command should resolve after first times out');
 });
 
+await testAsync('coalesces queued writes to the same device', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const written = [];
+    hub.socket.write = (data) => written.push(crypto.decrypt(data, TEST_KEY));
+
+    const dimResponse = protocol.createPacket(protocol.CMD.LIGHT_DIM, Buffer.from([0x28, 0xcf]), 1, false);
+
+    // The first write goes out at once; the next two wait in the queue
+    const p1 = hub.setLightBrightness(0x10, [0x28cf]);
+    const p2 = hub.setLightBrightness(0x20, [0x28cf]);
+    const p3 = hub.setLightBrightness(0x30, [0x28cf]);
+    assertEqual(hub.commandQueue.length, 1, 'superseded write dropped from the queue');
+
+    emitData(encryptPacket(dimResponse));
+    await p1;
+    emitData(encryptPacket(dimResponse));
+    await Promise.all([p2, p3]);
+
+    assertEqual(written.length, 2, 'two frames sent');
+    assertEqual(written[1].readUInt8(8), 0x30, 'latest brightness sent');
+});
+
+await testAsync('merges writes within the batch window into shared frames', async () => {
+    const { hub, emitData } = makeConnectedHub({ batchWindow: 10 });
+
+    const written = [];
+    hub.socket.write = (data) => {
+        const request = crypto.decrypt(data, TEST_KEY);
+        written.push(request);
+        const cmdId = request.readUInt16BE(2);
+        setImmediate(() => emitData(encryptPacket(protocol.createPacket(cmdId, Buffer.from([0x28, 0xcf]), 1, false))));
+    };
+
+    await Promise.all([
+        hub.setDevicePower(true, [0x28cf]),
+        hub.setDevicePower(true, [0xb487]),
+        hub.setLightBrightness(0x40, [0x28cf]),
+        hub.setLightBrightness(0xc0, [0xb487]),
+    ]);
+
+    assertEqual(written.length, 2, 'one power frame and one dim frame');
+    assertEqual(written[0].readUInt16BE(2), protocol.CMD.DEVICE_SWITCH, 'power first');
+    assertEqual(written[0].readUInt16BE(6), 2, 'both devices switched together');
+    assertEqual(written[1].readUInt16BE(2), protocol.CMD.LIGHT_DIM_BATCH, 'differing dims batched');
+});
+
+// ============================================================================
+// Response matching by command ID
+// ============================================================================
+
+console.log('\nResponse matching');
+console.log('=================\n');
+
+await testAsync('late reply to a timed-out command does not resolve the next command', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+    const statusResponse = protocol.createPacket(protocol.CMD.DEVICE_STATUS, Buffer.alloc(0), 0, false);
+
+    // PING times out, then DEVICE_STATUS is sent
+    const p1 = hub.sendCommand(protocol.createPingRequest(), 50).catch(() => 'timed-out');
+    const p2 = hub.sendCommand(protocol.createDeviceStatusRequest());
+    assertEqual(await p1, 'timed-out', 'ping should time out');
+
+    // The PING reply shows up late, followed by the real status reply
+    emitData(encryptPacket(pingResponse));
+    await new Promise(resolve => setImmediate(resolve));
+    assert(hub.pendingCommand !== null, 'status command still pending after late PING reply');
+
+    emitData(encryptPacket(statusResponse));
+    const decrypted = await p2;
+    assertEqual(decrypted.readUInt16BE(2), protocol.CMD.DEVICE_STATUS, 'resolved with the status frame');
+});
+
+await testAsync('rejects with UnexpectedResponseError on an unmatched response', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const firmwareResponse = protocol.createPacket(protocol.CMD.FIRMWARE_VERSION, Buffer.from([1, 2, 3]), 0, false);
+
+    let error = null;
+    const resultPromise = hub.sendCommand(protocol.createDeviceStatusRequest()).catch(e => {
+        error = e;
+    });
+    emitData(encryptPacket(firmwareResponse));
+    await resultPromise;
+
+    assert(error instanceof protocol.UnexpectedResponseError, `got: ${error && error.name}`);
+    assertEqual(error.expectedCmdId, protocol.CMD.DEVICE_STATUS, 'expected cmdId');
+    assertEqual(error.actualCmdId, protocol.CMD.FIRMWARE_VERSION, 'actual cmdId');
+    assertEqual(hub.pendingCommand, null, 'pendingCommand cleared after mismatch');
+});
+
+await testAsync('discards the real response of a command rejected on mismatch', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const firmwareResponse = protocol.createPacket(protocol.CMD.FIRMWARE_VERSION, Buffer.from([1, 2, 3]), 0, false);
+    const statusResponse = protocol.createPacket(protocol.CMD.DEVICE_STATUS, Buffer.alloc(0), 0, false);
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+
+    const p1 = hub.sendCommand(protocol.createDeviceStatusRequest()).catch(() => 'rejected');
+    const p2 = hub.sendCommand(protocol.createPingRequest());
+
+    emitData(encryptPacket(firmwareResponse));
+    assertEqual(await p1, 'rejected', 'status command rejected on mismatch');
+
+    // Late status reply must not disturb the PING now in flight
+    emitData(encryptPacket(statusResponse));
+    emitData(encryptPacket(pingResponse));
+    const decrypted = await p2;
+    assertEqual(decrypted.readUInt16BE(2), protocol.CMD.PING, 'ping resolved with its own response');
+});
+
+// ============================================================================
+// Unsolicited pushes
+// ============================================================================
+
+console.log('\nUnsolicited pushes');
+console.log('==================\n');
+
+/**
+ * Build a DEVICE_STATUS response frame for a single light.
+ */
+function lightStatusFrame(shortAddress, on, brightness, temperature) {
+    const data = Buffer.alloc(10);
+    data.writeUInt16BE(shortAddress, 0);
+    data.writeUInt32BE(0x00001006, 2); // Smart Bulb
+    data.writeUInt8(3, 6);
+    data.writeUInt8(on ? 1 : 0, 7);
+    data.writeUInt8(brightness, 8);
+    data.writeUInt8(temperature, 9);
+    return protocol.createPacket(protocol.CMD.DEVICE_STATUS, data, 1, false);
+}
+
+test('emits deviceStatusUpdate for a pushed DEVICE_STATUS frame', () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    let update = null;
+    hub.on('deviceStatusUpdate', devices => {
+        update = devices;
+    });
+    emitData(encryptPacket(lightStatusFrame(0x28cf, true, 128, 64)));
+
+    assert(update !== null, 'update emitted');
+    assertEqual(update.length, 1, 'one device');
+    assertEqual(update[0].shortAddress, 0x28cf, 'short address');
+    assertEqual(update[0].on, true, 'on');
+    assertEqual(update[0].brightness, 128, 'brightness');
+});
+
+await testAsync('pushed DEVICE_SWITCH frame does not disturb a pending PING', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const pushData = Buffer.from([0x01, 0x28, 0xcf]);
+    const push = protocol.createPacket(protocol.CMD.DEVICE_SWITCH, pushData, 1, true);
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+
+    let update = null;
+    hub.on('deviceStatusUpdate', devices => {
+        update = devices;
+    });
+
+    const resultPromise = hub.sendCommand(protocol.createPingRequest());
+    emitData(encryptPacket(push));
+    assert(hub.pendingCommand !== null, 'ping still pending');
+    assertEqual(update[0].shortAddress, 0x28cf, 'push routed as status update');
+    assertEqual(update[0].on, true, 'push on state');
+
+    emitData(encryptPacket(pingResponse));
+    await resultPromise;
+});
+
+await testAsync('pushed DEVICE_SWITCH frame does not resolve our own pending switch', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    const updates = [];
+    hub.on('deviceStatusUpdate', devices => updates.push(devices));
+
+    // The hub announces a change to 0x28CF while our switch of 0x1111 is in flight
+    const resultPromise = hub.sendDevicePower(true, [0x1111]);
+    emitData(encryptPacket(protocol.createPacket(protocol.CMD.DEVICE_SWITCH, Buffer.from([0x01, 0x28, 0xcf]), 1, true)));
+    assert(hub.pendingCommand !== null, 'switch still pending');
+    assertEqual(updates.length, 1, 'push routed as status update');
+    assertEqual(updates[0][0].shortAddress, 0x28cf, 'pushed device');
+
+    emitData(encryptPacket(protocol.createPacket(protocol.CMD.DEVICE_SWITCH, Buffer.from([0x11, 0x11]), 1, false)));
+    const result = await resultPromise;
+    assertEqual(result.deviceIds[0], 0x1111, 'resolved with the real reply');
+});
+
+await testAsync('drops a late switch reply no longer remembered instead of parsing it as a push', async () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    // Reply to an earlier switch request (device IDs only), long forgotten
+    const switchReply = protocol.createPacket(protocol.CMD.DEVICE_SWITCH, Buffer.from([0x28, 0xcf]), 1, false);
+    const pingResponse = protocol.createPacket(protocol.CMD.PING, Buffer.alloc(1), 0, false);
+
+    let update = null;
+    hub.on('deviceStatusUpdate', devices => {
+        update = devices;
+    });
+
+    const resultPromise = hub.sendCommand(protocol.createPingRequest());
+    emitData(encryptPacket(switchReply));
+    assertEqual(update, null, 'reply not emitted as a status update');
+    assert(hub.pendingCommand !== null, 'ping still pending');
+
+    emitData(encryptPacket(pingResponse));
+    await resultPromise;
+});
+
+test('emits pushSupported once', () => {
+    const { hub, emitData } = makeConnectedHub();
+
+    let count = 0;
+    hub.on('pushSupported', () => count++);
+    emitData(encryptPacket(lightStatusFrame(0x28cf, true, 128, 64)));
+    emitData(encryptPacket(lightStatusFrame(0x28cf, false, 128, 64)));
+
+    assertEqual(count, 1, 'pushSupported emitted once');
+    assertEqual(hub.pushSupported, true, 'pushSupported flag set');
+});
+
+// ============================================================================
+// Connection state machine
+// ============================================================================
+
+console.log('\nConnection state machine');
+console.log('========================\n');
+
+test('reconnect delay grows exponentially up to the maximum', () => {
+    const hub = new SmartikaHubConnection({
+        host: '127.0.0.1',
+        log: silentLog,
+        reconnectDelay: 1000,
+        reconnectMaxDelay: 10000,
+        reconnectJitter: 0,
+    });
+
+    assertEqual(hub.getReconnectDelay(0), 1000, 'attempt 0');
+    assertEqual(hub.getReconnectDelay(1), 2000, 'attempt 1');
+    assertEqual(hub.getReconnectDelay(3), 8000, 'attempt 3');
+    assertEqual(hub.getReconnectDelay(4), 10000, 'attempt 4 capped');
+    assertEqual(hub.getReconnectDelay(20), 10000, 'attempt 20 capped');
+});
+
+test('reconnect jitter stays within bounds', () => {
+    const hub = new SmartikaHubConnection({
+        host: '127.0.0.1',
+        log: silentLog,
+        reconnectDelay: 1000,
+        reconnectMaxDelay: 3000,
+        reconnectJitter: 0.5,
+    });
+
+    for (let i = 0; i < 100; i++) {
+        const delay = hub.getReconnectDelay(1);
+        assert(delay >= 1000 && delay <= 3000, `delay ${delay} out of range`);
+        assert(hub.getReconnectDelay(5) <= 3000, 'jitter must not exceed the maximum');
+    }
+});
+
+test('socket close on a ready connection moves to backoff', () => {
+    const { hub } = makeConnectedHub({ reconnectDelay: 60000 });
+    hub.setupSocketHandlers(hub.socket);
+
+    const states = [];
+    hub.on('stateChange', (state, previous) => states.push(`${previous}>${state}`));
+
+    hub.socket.emit('close');
+
+    assertEqual(hub.state, STATE.BACKOFF, 'state after close');
+    assertEqual(states.join(','), 'ready>idle,idle>backoff', 'state transitions');
+    assert(hub.reconnectTimer !== null, 'reconnect armed');
+    hub.disconnect();
+});
+
+await testAsync('pending commands are rejected when the socket closes', async () => {
+    const { hub } = makeConnectedHub({ reconnectDelay: 60000 });
+    hub.setupSocketHandlers(hub.socket);
+
+    let errorMessage = null;
+    const resultPromise = hub.sendCommand(protocol.createPingRequest()).catch(e => {
+        errorMessage = e.message;
+    });
+    hub.socket.emit('close');
+    await resultPromise;
+
+    assertEqual(errorMessage, 'Connection closed', 'rejection reason');
+    hub.disconnect();
+});
+
+test('disconnect() never re-arms reconnect', () => {
+    const { hub } = makeConnectedHub();
+    const socket = hub.socket;
+    hub.setupSocketHandlers(socket);
+
+    hub.disconnect();
+    socket.emit('close'); // late close event from the destroyed socket
+    hub.scheduleReconnect();
+
+    assertEqual(hub.state, STATE.CLOSED, 'state stays closed');
+    assertEqual(hub.reconnectTimer, null, 'no reconnect timer');
+});
+
+test('disconnect() during backoff cancels the pending reconnect', () => {
+    const { hub } = makeConnectedHub({ reconnectDelay: 60000 });
+    hub.state = STATE.IDLE;
+
+    hub.scheduleReconnect();
+    assertEqual(hub.state, STATE.BACKOFF, 'in backoff');
+
+    hub.disconnect();
+    assertEqual(hub.state, STATE.CLOSED, 'closed');
+    assertEqual(hub.reconnectTimer, null, 'reconnect timer cleared');
+});
+
+test('setHost() during backoff retries immediately at the new address', () => {
+    const { hub } = makeConnectedHub({ reconnectDelay: 60000 });
+    hub.state = STATE.IDLE;
+    hub.reconnectAttempts = 4;
+
+    hub.scheduleReconnect();
+    const staleTimer = hub.reconnectTimer;
+
+    hub.setHost('127.0.0.2');
+    assertEqual(hub.host, '127.0.0.2', 'host updated');
+    assertEqual(hub.reconnectAttempts, 1, 'backoff restarted');
+    assert(hub.reconnectTimer !== null && hub.reconnectTimer !== staleTimer, 'reconnect re-armed');
+    hub.disconnect();
+});
+
+test('setHost() leaves a ready connection alone', () => {
+    const { hub } = makeConnectedHub();
+
+    hub.setHost('127.0.0.2');
+    assertEqual(hub.host, '127.0.0.2', 'host updated');
+    assertEqual(hub.state, STATE.READY, 'still ready');
+    assertEqual(hub.reconnectTimer, null, 'no reconnect scheduled');
+});
+
+await testAsync('failed connect() returns to idle without scheduling a reconnect', async () => {
+    const net = require('net');
+    const server = net.createServer(socket => socket.destroy()); // hang up during handshake
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const hub = new SmartikaHubConnection({ host: '127.0.0.1', port: server.address().port, log: silentLog });
+    const first = hub.connect();
+    assert(hub.connect() === first, 'concurrent connect() calls share one attempt');
+
+    let errorMessage = null;
+    await first.catch(e => {
+        errorMessage = e.message;
+    });
+    server.close();
+
+    assert(errorMessage !== null, 'connect should reject');
+    assertEqual(hub.state, STATE.IDLE, 'state after failure');
+    assertEqual(hub.reconnectTimer, null, 'no reconnect scheduled by connect() itself');
+});
+
+// ============================================================================
+// Pending state – polls racing optimistic writes
+// ============================================================================
+
+console.log('\nPending state');
+console.log('=============\n');
+
+await testAsync('filters a polled value while a write is in flight and during the window', async () => {
+    const pending = new SmartikaPendingState(50, () => {});
+
+    let finish;
+    const write = pending.track({ brightness: 10 }, { brightness: 200 }, () => new Promise((resolve) => {
+        finish = resolve;
+    }));
+
+    const stale = { on: true, brightness: 10 };
+    assertEqual(JSON.stringify(pending.filter(stale)), JSON.stringify({ on: true }), 'filtered while in flight');
+
+    finish();
+    await write;
+    assertEqual(JSON.stringify(pending.filter(stale)), JSON.stringify({ on: true }), 'filtered during the window');
+});
+
+await testAsync('accepts the polled value once the window has passed', async () => {
+    const pending = new SmartikaPendingState(20, () => {});
+
+    await pending.track({ brightness: 10 }, { brightness: 200 }, async () => {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assertEqual(pending.isPending('brightness'), false, 'window over');
+    assertEqual(pending.filter({ brightness: 180 }).brightness, 180, 'polled value applied');
+});
+
+await testAsync('rolls a field back to the confirmed value when the write rejects', async () => {
+    const restored = [];
+    const pending = new SmartikaPendingState(50, status => restored.push(status));
+
+    let errorMessage = null;
+    await pending.track({ on: false }, { on: true }, async () => {
+        throw new Error('Command timeout');
+    }).catch(e => {
+        errorMessage = e.message;
+    });
+
+    assertEqual(errorMessage, 'Command timeout', 'error rethrown');
+    assertEqual(restored.length, 1, 'one rollback');
+    assertEqual(restored[0].on, false, 'rolled back to the value before the write');
+    assertEqual(pending.isPending('on'), false, 'next poll let through');
+});
+
+await testAsync('overlapping writes: only the newest write decides the rollback', async () => {
+    const restored = [];
+    const pending = new SmartikaPendingState(50, status => restored.push(status));
+
+    // An older write failing while a newer one is in flight keeps the field pending
+    let failFirst;
+    const first = pending.track({ brightness: 10 }, { brightness: 100 }, () => new Promise((resolve, reject) => {
+        failFirst = reject;
+    })).catch(() => 'failed');
+    let finishSecond;
+    const second = pending.track({ brightness: 100 }, { brightness: 200 }, () => new Promise((resolve) => {
+        finishSecond = resolve;
+    }));
+
+    failFirst(new Error('Command timeout'));
+    assertEqual(await first, 'failed', 'first write rejected');
+    assertEqual(restored.length, 0, 'no rollback under a newer write');
+    assertEqual(pending.isPending('brightness'), true, 'still pending');
+
+    finishSecond();
+    await second;
+    assertEqual(pending.filter({ brightness: 10 }).brightness, undefined, 'stale poll filtered after the newer write');
+
+    // The newest write failing rolls back to the value confirmed before both writes
+    let failFourth;
+    pending.track({ on: false }, { on: true }, () => new Promise(() => {}));
+    const fourth = pending.track({ on: true }, { on: false }, () => new Promise((resolve, reject) => {
+        failFourth = reject;
+    })).catch(() => 'failed');
+    failFourth(new Error('Command timeout'));
+    await fourth;
+    assertEqual(restored.length, 1, 'newest write rolled back');
+    assertEqual(restored[0].on, false, 'rolled back to the confirmed value, not the older write');
+    assertEqual(pending.isPending('on'), true, 'older write still in flight');
+});
+
+// ============================================================================
+// Light accessory
+// ============================================================================
+
+console.log('\nLight accessory');
+console.log('===============\n');
+
+await testAsync('fading off powers down, then puts the previous level back', async () => {
+    const calls = [];
+    const hub = {
+        setDevicePower: async (...args) => calls.push(['setDevicePower', ...args]),
+        setLightBrightnessBatch: async levels => calls.push(['setLightBrightnessBatch', levels]),
+    };
+    const light = makeAccessory(SmartikaLightAccessory, { shortAddress: 0x28cf, transitionDuration: 1 }, hub);
+    light.updateStatus({ on: true, brightness: 191 });
+
+    await light.setOn(false);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assertEqual(calls.length, 3, 'fade step, power off, level back');
+    assertEqual(calls[0][1][0].brightness, 1, 'faded to the floor');
+    assertEqual(calls[1][0], 'setDevicePower', 'then powered off');
+    assertEqual(calls[1][1], false, 'off');
+    assertEqual(calls[2][1][0].brightness, 191, 'previous level restored');
+});
+
+// ============================================================================
+// Fan accessory
+// ============================================================================
+
+console.log('\nFan accessory');
+console.log('=============\n');
+
+await testAsync('redundant Active=1 on a running fan keeps its speed', async () => {
+    const { fan, calls } = makeFan();
+    fan.updateStatus({ on: true, speed: 64 });
+    const speed = fan.state.rotationSpeed;
+
+    await fan.setActive(1);
+
+    assertEqual(calls.length, 0, 'nothing sent');
+    assertEqual(fan.state.rotationSpeed, speed, 'speed kept');
+});
+
+await testAsync('Active=1 on a stopped fan turns it on at the last speed', async () => {
+    const { fan, calls } = makeFan();
+    fan.lastSpeed = 75;
+
+    await fan.setActive(1);
+
+    assertEqual(calls.length, 2, 'speed then power');
+    assertEqual(calls[0][0], 'setFanSpeed', 'speed first');
+    assertEqual(calls[0][1], 191, 'last speed');
+    assertEqual(calls[1][1], true, 'powered on');
+    assertEqual(fan.state.active, true, 'active');
+});
+
+// ============================================================================
+// Identify
+// ============================================================================
+
+console.log('\nIdentify');
+console.log('========\n');
+
+await testAsync('light identify blinks through the hub and restores its level', async () => {
+    const frames = await identifyFrames(SmartikaLightAccessory, { shortAddress: 0x28cf }, { on: true, brightness: 255 });
+
+    assert(frames.length > 0, 'frames sent');
+    assert(frames.every(frame => frame.readUInt16BE(2) === protocol.CMD.LIGHT_DIM), 'dims only');
+    assertEqual(frames[frames.length - 1].readUInt8(8), 255, 'level restored');
+});
+
+await testAsync('fan identify bumps the speed through the hub and restores it', async () => {
+    const frames = await identifyFrames(SmartikaFanAccessory, { shortAddress: 0x5a01 }, { on: true, speed: 64 });
+
+    assert(frames.length > 1, 'frames sent');
+    assertEqual(frames[0].readUInt16BE(2), protocol.CMD.FAN_CONTROL, 'speed changed');
+    assertEqual(frames[frames.length - 1].readUInt16BE(2), protocol.CMD.FAN_CONTROL, 'speed restored last');
+});
+
+await testAsync('plug identify toggles twice through the hub', async () => {
+    const frames = await identifyFrames(SmartikaPlugAccessory, { shortAddress: 0x7a02 }, { on: false });
+
+    assertEqual(frames.length, 2, 'two toggles');
+    assertEqual(frames[0].readUInt8(8), 1, 'turns on');
+    assertEqual(frames[1].readUInt8(8), 0, 'turns back off');
+});
+
+// ============================================================================
+// Platform – reachability
+// ============================================================================
+
+console.log('\nPlatform reachability');
+console.log('=====================\n');
+
+test('marks a silent light unreachable', () => {
+    const { platform, HapStatusError } = makePlatform({ hubHost: '127.0.0.1', unreachableTimeout: 1000 });
+    const entry = platform.hubs[0];
+    entry.connection = {};
+
+    platform.deviceHandlers.set('light', {
+        hub: entry.connection,
+        device: { shortAddress: 0x28cf, name: 'Pendant', category: protocol.DEVICE_CATEGORY.LIGHT },
+        updateStatus: () => {},
+    });
+
+    // Last reported well past the timeout
+    entry.lastSeen.set(0x28cf, Date.now() - 5000);
+    platform.updateReachability(entry);
+
+    let lightError = null;
+    try {
+        platform.assertReachable({ UUID: 'light' });
+    } catch (e) {
+        lightError = e;
+    }
+    assert(lightError instanceof HapStatusError, 'light shows No Response');
+});
+
+// ============================================================================
+// Platform – multiple hubs
+// ============================================================================
+
+console.log('\nPlatform – multiple hubs');
+console.log('========================\n');
+
+await testAsync('a second hub never removes accessories cached before multi-hub support', async () => {
+    const { platform, api } = makePlatform({
+        hubs: [{ hubHost: '127.0.0.1' }, { hubHost: '127.0.0.2' }],
+    });
+    const [first, second] = platform.hubs;
+
+    // Cached by a single-hub version: no hubId in the context
+    const legacy = { UUID: 'smartika-4097', displayName: 'Pendant', context: {} };
+    platform.accessories.set(legacy.UUID, legacy);
+
+    const emptyHub = hubId => ({
+        hubId: Buffer.from(hubId, 'hex'),
+        listDevices: async () => [],
+        getGroupsWithMembers: async () => ({ groups: [], groupedDeviceIds: new Set() }),
+    });
+    first.connection = emptyHub('00124B3289BB');
+    second.connection = emptyHub('00124B3289CC');
+
+    // The second hub finishes discovery first (e.g. the first one is offline)
+    await platform.discoverDevices(second);
+    assertEqual(api.unregistered.length, 0, 'kept by the second hub');
+    assert(platform.accessories.has(legacy.UUID), 'still cached');
+
+    await platform.discoverDevices(first);
+    assertEqual(api.unregistered[0], legacy, 'the first hub owns it');
+});
+
+// ============================================================================
+// Platform – device config
+// ============================================================================
+
+console.log('\nPlatform – device config');
+console.log('========================\n');
+
+await testAsync('warns about a bad config entry once per discovery', async () => {
+    const { platform, api } = makePlatform({
+        devices: [{ id: '0x1001', type: 'heater' }],
+    });
+    const warnings = [];
+    platform.log = { ...silentLog, warn: message => warnings.push(message) };
+
+    const names = new Proxy({}, { get: (target, name) => name });
+    api.hap.Service = names;
+    api.hap.Characteristic = names;
+
+    const characteristic = { onGet: () => characteristic, onSet: () => characteristic };
+    const service = {
+        setCharacteristic: () => service,
+        getCharacteristic: () => characteristic,
+    };
+    api.hap.Categories = names;
+    api.platformAccessory = function (displayName, UUID) {
+        Object.assign(this, { displayName, UUID, context: {}, services: [] });
+        this.getService = () => service;
+        this.listenerCount = () => 1;
+    };
+    api.registerPlatformAccessories = () => {};
+
+    platform.hubs[0].connection = {
+        hubId: Buffer.from('00124B3289BB', 'hex'),
+        listDevices: async () => [
+            { shortAddress: 0x1001, typeName: 'Plug', category: protocol.DEVICE_CATEGORY.PLUG },
+        ],
+        getGroupsWithMembers: async () => ({ groups: [], groupedDeviceIds: new Set() }),
+    };
+
+    await platform.discoverDevices(platform.hubs[0]);
+    assert(platform.accessories.has('smartika-4097'), 'added');
+    assertEqual(warnings.length, 1, 'one warning');
+    assert(warnings[0].includes('"heater"'), warnings[0]);
+});
+
 // ============================================================================
 // Summary
 // ============================================================================
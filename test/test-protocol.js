@@ -6,6 +6,7 @@
  */
 
 const protocol = require('../src/SmartikaProtocol');
+const SmartikaDiscovery = require('../src/SmartikaDiscovery');
 
 let passed = 0;
 let failed = 0;
@@ -158,6 +159,20 @@ test('parsePacket throws on invalid start mark', () => {
     }
 });
 
+test('parse functions throw UnexpectedResponseError on wrong command ID', () => {
+    const packet = protocol.createPacket(protocol.CMD.PING, Buffer.from([0x00]), 0, false);
+    try {
+        protocol.parseDeviceStatusResponse(packet);
+        throw new Error('Should have thrown');
+    } catch (e) {
+        if (!(e instanceof protocol.UnexpectedResponseError)) {
+            throw e;
+        }
+        assertEqual(e.expectedCmdId, protocol.CMD.DEVICE_STATUS, 'expected cmd ID');
+        assertEqual(e.actualCmdId, protocol.CMD.PING, 'actual cmd ID');
+    }
+});
+
 // Test checksum
 console.log('\nChecksum:');
 
@@ -181,6 +196,90 @@ test('parsePacket verifies checksum', () => {
     }
 });
 
+// Test batch commands
+console.log('\nBatch Commands:');
+
+test('createLightDimBatchRequest round-trips through its response parser', () => {
+    const request = protocol.createLightDimBatchRequest([
+        { deviceId: 0x28cf, brightness: 0x40 },
+        { deviceId: 0xb487, brightness: 0xc0 },
+    ]);
+    assertEqual(request.readUInt16BE(6), 2, 'list len');
+    assertEqual(request.readUInt8(13), 0xc0, 'second brightness');
+
+    const response = protocol.createPacket(protocol.CMD.LIGHT_DIM_BATCH, Buffer.from([0x28, 0xcf, 0xb4, 0x87]), 2, false);
+    const { deviceIds } = protocol.parseLightDimBatchResponse(response);
+    assertEqual(deviceIds[1], 0xb487, 'acknowledged device');
+});
+
+// Test fan control
+console.log('\nFan Control:');
+
+test('parseFanControlResponse lists the affected fans', () => {
+    const response = protocol.createPacket(protocol.CMD.FAN_CONTROL, Buffer.from([0x5a, 0x01]), 1, false);
+    assertEqual(protocol.parseFanControlResponse(response).deviceIds[0], 0x5a01, 'device id');
+});
+
+// Test identify sequences
+console.log('\nIdentify:');
+
+test('createIdentifySequence pulses a light and restores its level', () => {
+    const steps = protocol.createIdentifySequence({ shortAddress: 0x28cf, category: 'light', on: true, brightness: 200 });
+    assertEqual(steps.length, 6, 'three pulses');
+    assertEqual(steps[0].request.readUInt16BE(2), protocol.CMD.LIGHT_DIM, 'dims');
+    assertEqual(steps[0].request.readUInt8(8), 25, 'pulses down from a bright level');
+    assertEqual(steps[5].request.readUInt8(8), 200, 'restores the level');
+    assertEqual(steps[5].delay, 0, 'no wait after the last step');
+});
+
+test('createIdentifySequence toggles a plug twice', () => {
+    const steps = protocol.createIdentifySequence({ shortAddress: 0x5a01, category: 'plug', on: false });
+    assertEqual(steps.length, 2, 'two toggles');
+    assertEqual(steps[0].request.readUInt16BE(2), protocol.CMD.DEVICE_SWITCH, 'switches');
+    assertEqual(steps[0].request.readUInt8(8), 1, 'turns on');
+    assertEqual(steps[1].request.readUInt8(8), 0, 'turns back off');
+});
+
+// Test unsolicited events
+console.log('\nUnsolicited Events:');
+
+test('parseDeviceSwitchEvent decodes state and device IDs', () => {
+    const data = Buffer.from([0x00, 0x28, 0xcf, 0xb4, 0x87]);
+    const packet = protocol.createPacket(protocol.CMD.DEVICE_SWITCH, data, 2, true);
+    const devices = protocol.parseDeviceSwitchEvent(packet);
+    assertEqual(devices.length, 2, 'device count');
+    assertEqual(devices[1].shortAddress, 0xb487, 'second device');
+    assertEqual(devices[1].on, false, 'off');
+});
+
+test('parseStatusEvent decodes a light dim event', () => {
+    const data = Buffer.from([0x80, 0x28, 0xcf]);
+    const packet = protocol.createPacket(protocol.CMD.LIGHT_DIM, data, 1, true);
+    const devices = protocol.parseStatusEvent(packet);
+    assertEqual(devices[0].shortAddress, 0x28cf, 'device');
+    assertEqual(devices[0].brightness, 0x80, 'brightness');
+});
+
+// Test color temperature calibration
+console.log('\nColor Temperature:');
+
+test('default calibration spans 2000K-7142K linearly in mireds', () => {
+    const calibration = protocol.getTemperatureCalibration();
+    assertEqual(Math.round(protocol.temperatureToMireds(0, calibration)), 500, 'warmest');
+    assertEqual(Math.round(protocol.temperatureToMireds(255, calibration)), 140, 'coolest');
+    assertEqual(protocol.miredsToTemperature(320, calibration), 128, 'midpoint');
+});
+
+test('calibration curve points and overrides are honored', () => {
+    const calibration = protocol.getTemperatureCalibration({
+        maxKelvin: 5000,
+        curve: [{ value: 128, kelvin: 3500 }],
+    });
+    assertEqual(calibration.minKelvin, 2000, 'default minimum kept');
+    assertEqual(Math.round(protocol.temperatureToMireds(255, calibration)), 200, 'overridden maximum');
+    assertEqual(protocol.miredsToTemperature(1e6 / 3500, calibration), 128, 'curve point');
+});
+
 // Test group commands
 console.log('\nGroup Commands:');
 
@@ -201,6 +300,37 @@ test('createGroupCreateRequest generates valid packet', () => {
     assertEqual(packet.readUInt16BE(6), 2, 'list len');
 });
 
+test('inferGroupCategory picks the members\' category', () => {
+    const fans = protocol.inferGroupCategory([0x00000005, 0x00000005, 0x80000006]);
+    assertEqual(fans.category, 'fan', 'fan group');
+    const mixed = protocol.inferGroupCategory([0x00001003, 0x00000007]);
+    assertEqual(mixed.category, null, 'mixed group');
+    assertEqual(mixed.categories.join(','), 'light,plug', 'mixed categories');
+});
+
+// Test hub IDs
+console.log('\nHub IDs:');
+
+test('normalizeHubId accepts 12 and 16 hex digits with separators', () => {
+    assertEqual(SmartikaDiscovery.normalizeHubId('00:12:4b:32:89:bb'), '00124B3289BB', 'MAC only');
+    assertEqual(SmartikaDiscovery.normalizeHubId(' ABCD00124B32-89BB '), 'ABCD00124B3289BB', 'IEEE prefix + MAC');
+});
+
+test('normalizeHubId rejects other lengths and non-strings', () => {
+    assertEqual(SmartikaDiscovery.normalizeHubId('00124B3289B'), null, '11 digits');
+    assertEqual(SmartikaDiscovery.normalizeHubId('00124B3289BB1'), null, '13 digits');
+    assertEqual(SmartikaDiscovery.normalizeHubId('00124B3289BB123'), null, '15 digits');
+    assertEqual(SmartikaDiscovery.normalizeHubId('00124B3289BG'), null, 'not hex');
+    assertEqual(SmartikaDiscovery.normalizeHubId(0x00124B3289BB), null, 'number');
+});
+
+test('matchesHubId compares the MAC part', () => {
+    const hubInfo = { hubId: 'ABCD00124B3289BB' };
+    assertEqual(SmartikaDiscovery.matchesHubId(hubInfo, '00124B3289BB'), true, 'MAC-only ID');
+    assertEqual(SmartikaDiscovery.matchesHubId(hubInfo, 'ABCD00124B3289BB'), true, 'full ID');
+    assertEqual(SmartikaDiscovery.matchesHubId(hubInfo, '00124B3289BC'), false, 'other hub');
+});
+
 // Summary
 console.log('\n===================');
 console.log(`Results: ${passed} passed, ${failed} failed`);
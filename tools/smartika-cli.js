@@ -155,6 +155,15 @@ const commands = {
         ],
         handler: handleFan,
     },
+    identify: {
+        category: 'Device',
+        description: 'Blink a light, bump a fan or toggle a plug twice',
+        usage: 'identify <device-id>',
+        args: [
+            { name: 'device-id', type: 'device-id', required: true, description: 'Device address' },
+        ],
+        handler: handleIdentify,
+    },
 
     // Database Commands
     list: {
@@ -706,7 +715,37 @@ function handleFan(args, send) {
     const deviceIds = args.device_id;
     console.log(`Setting fan speed to ${speed} for: ${deviceIds.map(formatDeviceId).join(', ')}...`);
     send(protocol.createFanControlRequest(speed, deviceIds), (packet) => {
+        const result = protocol.parseFanControlResponse(packet);
         console.log(`\n${c.green}✓ Success${c.reset}`);
+        console.log(`  Affected: ${result.deviceIds.map(formatDeviceId).join(', ')}`);
+    });
+}
+
+function handleIdentify(args, send) {
+    const deviceId = args.device_id;
+    console.log(`Identifying ${formatDeviceId(deviceId)}...`);
+
+    // Read the current state first, so the sequence can restore it
+    send(protocol.createDeviceStatusRequest([deviceId]), (packet) => {
+        const [device] = protocol.parseDeviceStatusResponse(packet);
+        if (!device) {
+            console.error(`\n${c.red}Error: No status for ${formatDeviceId(deviceId)}${c.reset}`);
+            return false; // Close connection
+        }
+
+        const steps = protocol.createIdentifySequence(device);
+        const runStep = (index) => {
+            send(steps[index].request, () => {
+                if (index === steps.length - 1) {
+                    console.log(`\n${c.green}✓ Success${c.reset}`);
+                    return false; // Close connection - done!
+                }
+                setTimeout(() => runStep(index + 1), steps[index].delay);
+                return true; // Keep connection open
+            });
+        };
+        runStep(0);
+        return true; // Keep connection open
     });
 }
 
@@ -895,14 +934,21 @@ function displayHomekitPreview(devices, groups, groupedDeviceIds) {
     const accessories = [];
     const skipped = [];
     
-    // Add groups as accessories
+    // Add groups as accessories, typed after their members
+    const typeIds = new Map(devices.map(device => [device.shortAddress, device.typeId]));
     for (const group of groups) {
+        const memberTypeIds = group.deviceIds
+            .filter(id => typeIds.has(id))
+            .map(id => typeIds.get(id));
+        const { category, categories } = protocol.inferGroupCategory(memberTypeIds);
+
         accessories.push({
             type: 'Group',
             address: formatDeviceId(group.groupId),
             name: `Group ${group.groupId.toString(16).toUpperCase()}`,
             members: group.deviceIds.length,
-            category: 'light',
+            category: category || (categories.length > 0 ? 'plug' : 'light'),
+            mixed: categories.length > 1 ? categories : null,
         });
     }
     
@@ -949,7 +995,10 @@ function displayHomekitPreview(devices, groups, groupedDeviceIds) {
     if (groupAccessories.length > 0) {
         console.log(`  ${c.cyan}Groups (${groupAccessories.length}):${c.reset}`);
         groupAccessories.forEach((a, i) => {
-            console.log(`    ${i + 1}. ${a.address} - ${a.name} (${a.members} members)`);
+            console.log(`    ${i + 1}. ${a.address} - ${a.name} (${a.members} members) [${a.category}]`);
+            if (a.mixed) {
+                console.log(`       ${c.yellow}Mixed members (${a.mixed.join(', ')}) - on/off only unless a type is configured${c.reset}`);
+            }
         });
         console.log();
     }
@@ -1252,7 +1301,8 @@ function printStatusTable(devices) {
         if (device.temperature !== undefined) {
             const percent = Math.round(device.temperature / 255 * 100);
             const label = device.temperature < 85 ? 'warm' : device.temperature < 170 ? 'neutral' : 'cool';
-            console.log(`      Temperature: ${device.temperature} (${label})`);
+            const kelvin = Math.round(1e6 / protocol.temperatureToMireds(device.temperature, protocol.getTemperatureCalibration()));
+            console.log(`      Temperature: ${device.temperature} (${label}, ~${kelvin}K)`);
         }
         if (device.speed !== undefined) {
             console.log(`      Speed:       ${device.speed}`);